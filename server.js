@@ -1,17 +1,60 @@
 // server.js
 require("dotenv").config();
 const express = require("express");
-const morgan = require("morgan");
 const bodyParser = require("body-parser");
 
+const { SHADOW_MODE } = require("./src/utils/shadow");
+const { log, warn, error } = require("./src/utils/logger");
+const { validateConfig } = require("./src/config/validateConfig");
+const correlationId = require("./src/middleware/correlationId");
+const tenantContext = require("./src/middleware/tenantContext");
+const requestLogger = require("./src/middleware/requestLogger");
+const { getMapping, watchMapping, reloadMapping } = require("./src/config/mapping");
+const { listTenants, runForTenant } = require("./src/config/tenants");
+const { registerHandler, startWorker } = require("./src/queue/webhookQueue");
+const {
+  handleConnectWiseEvent,
+  describeConnectWiseEvent,
+} = require("./src/handlers/connectwiseHandler");
+const {
+  handlePagerDutyEvent,
+  describePagerDutyEvent,
+} = require("./src/handlers/pagerdutyHandler");
+const { startReconciler } = require("./src/jobs/reconciler");
+const { startSlaWatcher } = require("./src/jobs/slaWatcher");
 const connectwiseRoutes = require("./src/routes/connectwise");
 const pagerdutyRoutes = require("./src/routes/pagerduty");
+const adminRoutes = require("./src/routes/admin");
+const dashboardRoutes = require("./src/routes/dashboard");
+const metricsRoutes = require("./src/routes/metrics");
+const healthRoutes = require("./src/routes/health");
+
+// Check env vars and the mapping file; report every problem, then refuse to start
+const config = validateConfig();
+config.warnings.forEach((w) => warn(`⚠ ${w}`));
+if (config.errors.length) {
+  config.errors.forEach((e) => error(`❌ ${e}`));
+  error(`Invalid configuration (${config.errors.length} problem(s)) — not starting`);
+  process.exit(1);
+}
+
+// Load every tenant's board/priority/status mapping now so a bad file stops startup,
+// then pick up edits (or SIGHUP) without a restart
+listTenants().forEach(({ name }) => runForTenant(name, getMapping));
+watchMapping();
+process.on("SIGHUP", reloadMapping);
 
 const app = express();
 
+// Behind a load balancer, trust X-Forwarded-For so req.ip is the real source
+// (used by the CW webhook IP allowlist)
+if (process.env.TRUST_PROXY) app.set("trust proxy", process.env.TRUST_PROXY);
+
+app.use(requestLogger);
+
 // Capture raw body for signature verification
 app.use(
-  "/pagerduty/webhook",
+  ["/pagerduty/webhook", "/t/:tenant/pagerduty/webhook"],
   bodyParser.raw({
     type: [
       "application/json",
@@ -23,35 +66,38 @@ app.use(
 
 // Normal JSON parsing for all other routes
 app.use(express.json());
-app.use(morgan("dev"));
-
-// Mount routes
-app.use("/connectwise", connectwiseRoutes);
-app.use("/pagerduty", pagerdutyRoutes);
-
-// Root route (homepage)
-app.get("/", (req, res) => {
-  res.send(`
-    <html>
-      <head>
-        <title>Manage ConnectWise & PagerDuty APIs</title>
-        <style>
-          body {
-            font-family: Arial, sans-serif;
-            background-color: #f9fafb;
-          }
-          h1 {
-            color: black;
-          }
-        </style>
-      </head>
-      <body>
-        <h1>Welcome to Manage ConnectWise and PagerDuty APIs portal</h1>
-      </body>
-    </html>
-  `);
-});
+
+// After the body parsers: their stream callbacks would run outside the request context
+app.use(correlationId);
+
+// Process-wide: liveness/readiness (every tenant) and metrics (every tenant, labelled)
+app.use("/", healthRoutes);
+app.use("/metrics", metricsRoutes);
+
+// Per tenant: /t/<tenant>/connectwise/webhook … and, for the "default" tenant, the plain routes
+const tenantRoutes = express.Router({ mergeParams: true });
+tenantRoutes.use(tenantContext);
+tenantRoutes.use("/connectwise", connectwiseRoutes);
+tenantRoutes.use("/pagerduty", pagerdutyRoutes);
+tenantRoutes.use("/admin", adminRoutes);
+tenantRoutes.use("/metrics", metricsRoutes);
+
+// Operations dashboard (tenant root, behind its own login)
+tenantRoutes.use("/", dashboardRoutes);
+
+app.use("/t/:tenant", tenantRoutes);
+app.use("/", tenantRoutes);
+
+// Process queued webhooks (and anything left over from a previous run)
+registerHandler("connectwise", handleConnectWiseEvent, describeConnectWiseEvent);
+registerHandler("pagerduty", handlePagerDutyEvent, describePagerDutyEvent);
+startWorker();
+startReconciler();
+startSlaWatcher();
 
 // Start server
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
+app.listen(PORT, () => {
+  log(`🚀 Server running on port ${PORT}`);
+  if (SHADOW_MODE) log("🫥 Shadow mode: CW/PD writes are intercepted and logged, not sent");
+});
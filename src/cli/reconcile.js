@@ -0,0 +1,33 @@
+// src/cli/reconcile.js
+// One-off reconciliation / backfill:
+//   npm run reconcile -- [--fix] [--since 2025-01-01] [--until 2025-02-01] [--tenant <name>]
+// Safe next to the running service: it reads links.json again after --fix changes it.
+require("dotenv").config();
+const { assertValidConfig } = require("../config/validateConfig");
+const { runReconciliation } = require("../jobs/reconciler");
+const { getTenant, runForTenant, DEFAULT_TENANT } = require("../config/tenants");
+
+function parseArgs(argv) {
+  const args = { mode: "report", tenant: DEFAULT_TENANT };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--fix") args.mode = "fix";
+    else if (argv[i] === "--since") args.since = argv[++i];
+    else if (argv[i] === "--until") args.until = argv[++i];
+    else if (argv[i] === "--tenant") args.tenant = argv[++i];
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  return args;
+}
+
+(async () => {
+  try {
+    const { tenant, ...options } = parseArgs(process.argv.slice(2));
+    assertValidConfig();
+    if (!getTenant(tenant)) throw new Error(`Unknown tenant "${tenant}"`);
+    const report = await runForTenant(tenant, () => runReconciliation(options));
+    console.log(JSON.stringify(report, null, 2));
+  } catch (err) {
+    console.error(`Reconciliation failed: ${err.message}`);
+    process.exitCode = 1;
+  }
+})();
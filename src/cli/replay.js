@@ -0,0 +1,53 @@
+// src/cli/replay.js
+// Replay a captured webhook through the CW/PD handlers:
+//   npm run replay -- --event <eventId> [--dry-run] [--tenant <name>]
+//   npm run replay -- --source connectwise|pagerduty --file payload.json [--dry-run] [--tenant <name>]
+require("dotenv").config();
+const fs = require("fs");
+const { assertValidConfig } = require("../config/validateConfig");
+const { replayEvent, findStoredPayload } = require("../services/replayService");
+const { getTenant, runForTenant, DEFAULT_TENANT } = require("../config/tenants");
+
+function parseArgs(argv) {
+  const args = { dryRun: false, tenant: DEFAULT_TENANT };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--dry-run") args.dryRun = true;
+    else if (argv[i] === "--event") args.eventId = argv[++i];
+    else if (argv[i] === "--source") args.source = argv[++i];
+    else if (argv[i] === "--file") args.file = argv[++i];
+    else if (argv[i] === "--tenant") args.tenant = argv[++i];
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  if (!args.eventId && !(args.source && args.file)) {
+    throw new Error("Pass --event <id>, or --source and --file");
+  }
+  return args;
+}
+
+// Replay a stored event (by ID) or a payload file
+async function replay({ eventId, source, file, dryRun }) {
+  let stored = { source, payload: null, redacted: false };
+  if (eventId) {
+    stored = findStoredPayload(eventId);
+    if (!stored) throw new Error(`No stored payload for event ${eventId}`);
+    if (stored.redacted) console.error("Note: replaying the redacted payload from the event history");
+  } else {
+    stored.payload = JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  return replayEvent({ source: stored.source, payload: stored.payload, dryRun, replayOf: eventId || null });
+}
+
+(async () => {
+  try {
+    const { eventId, source, file, dryRun, tenant } = parseArgs(process.argv.slice(2));
+    assertValidConfig();
+    if (!getTenant(tenant)) throw new Error(`Unknown tenant "${tenant}"`);
+    const result = await runForTenant(tenant, () => replay({ eventId, source, file, dryRun }));
+    console.log(JSON.stringify(result, null, 2));
+    if (result.outcome === "failed") process.exitCode = 1;
+  } catch (err) {
+    console.error(`Replay failed: ${err.message}`);
+    process.exitCode = 1;
+  }
+})();
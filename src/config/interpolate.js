@@ -0,0 +1,15 @@
+// src/config/interpolate.js
+
+// --- Replace ${ENV_VAR} placeholders with values from the environment ---
+exports.interpolate = function interpolate(value) {
+  if (typeof value === "string") {
+    return value.replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] || "");
+  }
+  if (Array.isArray(value)) return value.map(interpolate);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, val]) => [key, interpolate(val)])
+    );
+  }
+  return value;
+};
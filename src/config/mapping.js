@@ -0,0 +1,429 @@
+// src/config/mapping.js
+const fs = require("fs");
+const { log, error } = require("../utils/logger");
+const { interpolate } = require("./interpolate");
+const { currentTenant, listTenants, MAPPING_FILE } = require("./tenants");
+
+// Each tenant has its own mapping file (tenants may share one)
+const mappings = new Map(); // file → mapping
+
+const tenantMappingFiles = () => [...new Set(listTenants().map((t) => t.mappingFile))];
+
+// How long before an SLA target is due its incident is escalated, when the mapping doesn't say
+const DEFAULT_ESCALATE_BEFORE_MINUTES = 30;
+
+// CW ticket fields holding each SLA target's due date, and the date it was met
+const DEFAULT_SLA_TARGETS = {
+  respond: { dueField: "respondByDate", metField: "dateResponded" },
+  resolve: { dueField: "resolveByDate", metField: "dateResolved" },
+};
+
+// CW statuses meaning "duplicate of / child of another ticket": its incident is merged into the parent's
+const DEFAULT_MERGE_STATUSES = ["Cancelled: Duplicate", "Cancelled: Child Ticket"];
+
+// Ticket fields a routing rule can match on ("match" keys; see src/services/routingRules.js)
+const RULE_MATCH_FIELDS = [
+  "board",
+  "company",
+  "type",
+  "subType",
+  "item",
+  "source",
+  "contact",
+  "configurationItem",
+  "priority",
+  "status",
+  "summary",
+  "businessHours",
+];
+const WEEKDAYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+
+const isString = (v) => typeof v === "string";
+const isStringArray = (v) => Array.isArray(v) && v.every(isString);
+const isTime = (v) => isString(v) && /^([01]\d|2[0-3]):[0-5]\d$/.test(v);
+
+function isRegex(pattern) {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// --- Schema check: collect every problem instead of stopping at the first ---
+function validate(mapping) {
+  const problems = [];
+
+  if (!mapping.boards || typeof mapping.boards !== "object" || Array.isArray(mapping.boards)) {
+    problems.push(`"boards" must be an object keyed by ConnectWise board name`);
+  } else {
+    for (const [name, board] of Object.entries(mapping.boards)) {
+      if (!board || typeof board !== "object") {
+        problems.push(`boards["${name}"] must be an object`);
+        continue;
+      }
+      if (!isString(board.service)) problems.push(`boards["${name}"].service must be a string`);
+      if (board.webhookSecret !== undefined && !isString(board.webhookSecret))
+        problems.push(`boards["${name}"].webhookSecret must be a string`);
+      if (board.integrationKey !== undefined && !isString(board.integrationKey))
+        problems.push(`boards["${name}"].integrationKey must be a string`);
+      if (board.serviceName !== undefined && !isString(board.serviceName))
+        problems.push(`boards["${name}"].serviceName must be a string`);
+      if (board.summaryKeywords !== undefined && !isStringArray(board.summaryKeywords))
+        problems.push(`boards["${name}"].summaryKeywords must be an array of strings`);
+      if (board.timeEntries !== undefined) {
+        const { workType, billable = true } = board.timeEntries || {};
+        if (!isString(workType) || typeof billable !== "boolean")
+          problems.push(`boards["${name}"].timeEntries must be { "workType": string, "billable": true | false }`);
+      }
+    }
+  }
+
+  if (!Array.isArray(mapping.priorities)) {
+    problems.push(`"priorities" must be an array`);
+  } else {
+    mapping.priorities.forEach((p, i) => {
+      const where = `priorities[${i}]`;
+      if (!p || typeof p !== "object" || Array.isArray(p)) {
+        problems.push(`${where} must be an object`);
+        return;
+      }
+      if (!isString(p.code)) problems.push(`${where}.code must be a string`);
+      if (!isString(p.pdPriorityId)) problems.push(`${where}.pdPriorityId must be a string`);
+      if (!["high", "low"].includes(p.urgency)) problems.push(`${where}.urgency must be "high" or "low"`);
+      if (p.severity !== undefined && !["critical", "error", "warning", "info"].includes(p.severity))
+        problems.push(`${where}.severity must be critical, error, warning or info`);
+      if (typeof p.page !== "boolean") problems.push(`${where}.page must be true or false`);
+      if (!isStringArray(p.cwNames)) problems.push(`${where}.cwNames must be an array of strings`);
+      if (!p.cwPriority || typeof p.cwPriority.id !== "number" || !isString(p.cwPriority.name))
+        problems.push(`${where}.cwPriority must be { "id": number, "name": string }`);
+    });
+  }
+
+  const statuses = mapping.statuses || {};
+  if (!isStringArray(statuses.trigger)) problems.push(`statuses.trigger must be an array of strings`);
+  if (!isStringArray(statuses.resolve)) problems.push(`statuses.resolve must be an array of strings`);
+  if (statuses.acknowledge !== undefined && !isStringArray(statuses.acknowledge))
+    problems.push(`statuses.acknowledge must be an array of strings`);
+  if (
+    !statuses.fromPagerDuty ||
+    typeof statuses.fromPagerDuty !== "object" ||
+    !Object.values(statuses.fromPagerDuty).every(isString)
+  ) {
+    problems.push(`statuses.fromPagerDuty must map PagerDuty event types to ConnectWise status names`);
+  }
+
+  if (mapping.notes !== undefined) {
+    const { cwToPd = {}, pdToCw = "discussion" } = mapping.notes || {};
+    if (!Object.values(cwToPd).every((v) => typeof v === "boolean"))
+      problems.push(`notes.cwToPd flags must be true or false`);
+    if (!["discussion", "internal", "resolution"].includes(pdToCw))
+      problems.push(`notes.pdToCw must be "discussion", "internal" or "resolution"`);
+  }
+
+  if (mapping.pdEvents !== undefined) {
+    if (!mapping.pdEvents || typeof mapping.pdEvents !== "object" || Array.isArray(mapping.pdEvents)) {
+      problems.push(`"pdEvents" must be an object keyed by PagerDuty event type`);
+    } else {
+      for (const [type, entry] of Object.entries(mapping.pdEvents)) {
+        const where = `pdEvents["${type}"]`;
+        if (!entry || typeof entry !== "object") {
+          problems.push(`${where} must be an object`);
+          continue;
+        }
+        if (entry.status !== undefined && entry.status !== null && !isString(entry.status))
+          problems.push(`${where}.status must be a ConnectWise status name (or null)`);
+        if (entry.note !== undefined && !isString(entry.note)) problems.push(`${where}.note must be a string`);
+        if (entry.noteType !== undefined && !["discussion", "internal", "resolution"].includes(entry.noteType))
+          problems.push(`${where}.noteType must be "discussion", "internal" or "resolution"`);
+      }
+    }
+  }
+
+  if (mapping.ticketSync !== undefined) {
+    const { priority = true, title = true, unpagedPriority = "lower" } = mapping.ticketSync || {};
+    if (typeof priority !== "boolean") problems.push(`ticketSync.priority must be true or false`);
+    if (typeof title !== "boolean") problems.push(`ticketSync.title must be true or false`);
+    if (!["lower", "resolve", "keep"].includes(unpagedPriority))
+      problems.push(`ticketSync.unpagedPriority must be "lower", "resolve" or "keep"`);
+  }
+
+  if (mapping.merges !== undefined) {
+    const { statuses = DEFAULT_MERGE_STATUSES, childStatus = null } = mapping.merges || {};
+    if (!isStringArray(statuses)) problems.push(`merges.statuses must be an array of strings`);
+    else if (isStringArray(mapping.statuses?.resolve) && !statuses.every((s) => mapping.statuses.resolve.includes(s)))
+      problems.push(`merges.statuses must also be listed in statuses.resolve`);
+    if (childStatus !== null && !isString(childStatus))
+      problems.push(`merges.childStatus must be a ConnectWise status name (or null)`);
+  }
+
+  if (mapping.members !== undefined) {
+    const { matchBy = "email", overrides = [] } = mapping.members || {};
+    if (!["email", "none"].includes(matchBy)) problems.push(`members.matchBy must be "email" or "none"`);
+    if (!Array.isArray(overrides) || !overrides.every((o) => isString(o.pdUserId) && isString(o.cwMember)))
+      problems.push(`members.overrides must be [{ "pdUserId": string, "cwMember": string }]`);
+  }
+
+  if (mapping.sla !== undefined) {
+    const { enabled = true, targets } = mapping.sla || {};
+    // null is the same as leaving a setting out (as getSlaConfig reads it)
+    const escalateBeforeMinutes = mapping.sla?.escalateBeforeMinutes ?? DEFAULT_ESCALATE_BEFORE_MINUTES;
+    const escalation = mapping.sla?.escalation ?? {};
+    if (typeof enabled !== "boolean") problems.push(`sla.enabled must be true or false`);
+    if (typeof escalation !== "object" || Array.isArray(escalation))
+      problems.push(`sla.escalation must be { "urgency", "priority", "responders" } (or left out)`);
+    if (typeof escalateBeforeMinutes !== "number" || escalateBeforeMinutes < 0)
+      problems.push(`sla.escalateBeforeMinutes must be a number of minutes (0 or more)`);
+    for (const [name, target] of Object.entries(targets || {})) {
+      if (!target || !isString(target.dueField) || (target.metField !== undefined && !isString(target.metField)))
+        problems.push(`sla.targets["${name}"] must be { "dueField": string, "metField": string }`);
+    }
+    if (escalation.urgency !== undefined && !["high", null].includes(escalation.urgency))
+      problems.push(`sla.escalation.urgency must be "high" (or null to leave it)`);
+    if (
+      escalation.priority !== undefined &&
+      !(Array.isArray(mapping.priorities) && mapping.priorities.some((p) => p?.code === escalation.priority))
+    )
+      problems.push(`sla.escalation.priority must be the code of one of the priorities`);
+    const responders = escalation.responders || [];
+    if (!Array.isArray(responders) || !responders.every((r) => ["user", "escalation_policy"].includes(r?.type) && isString(r.id)))
+      problems.push(`sla.escalation.responders must be [{ "type": "user" | "escalation_policy", "id": string }]`);
+  }
+
+  if (mapping.businessHours !== undefined) {
+    const { timezone = "UTC", days, start, end } = mapping.businessHours || {};
+    if (!isString(timezone) || !isTimeZone(timezone)) problems.push(`businessHours.timezone must be an IANA time zone`);
+    if (!isStringArray(days) || !days.every((d) => WEEKDAYS.includes(d)))
+      problems.push(`businessHours.days must be an array of ${WEEKDAYS.join(", ")}`);
+    if (!isTime(start) || !isTime(end)) problems.push(`businessHours.start and .end must be "HH:MM"`);
+  }
+
+  if (mapping.rules !== undefined) {
+    if (!Array.isArray(mapping.rules)) {
+      problems.push(`"rules" must be an array (checked in order, the first match wins)`);
+    } else {
+      const codes = Array.isArray(mapping.priorities) ? mapping.priorities.map((p) => p?.code) : [];
+      mapping.rules.forEach((rule, i) => {
+        const where = `rules[${i}]`;
+        if (!rule || typeof rule !== "object") {
+          problems.push(`${where} must be an object`);
+          return;
+        }
+        if (!isString(rule.name)) problems.push(`${where}.name must be a string`);
+
+        const match = rule.match || {};
+        if (typeof match !== "object" || Array.isArray(match)) problems.push(`${where}.match must be an object`);
+        for (const [field, value] of Object.entries(match)) {
+          if (!RULE_MATCH_FIELDS.includes(field)) {
+            problems.push(`${where}.match.${field} is not a field rules can match (${RULE_MATCH_FIELDS.join(", ")})`);
+          } else if (field === "businessHours") {
+            if (typeof value !== "boolean") problems.push(`${where}.match.businessHours must be true or false`);
+            else if (!mapping.businessHours) problems.push(`${where}.match.businessHours needs a "businessHours" section`);
+          } else if (!isString(value) && !isStringArray(value)) {
+            problems.push(`${where}.match.${field} must be a string or an array of strings`);
+          } else if (field === "summary" && ![].concat(value).every(isRegex)) {
+            problems.push(`${where}.match.summary must be regular expressions`);
+          }
+        }
+
+        if ((rule.skip === undefined) === (rule.route === undefined)) {
+          problems.push(`${where} needs either "skip" (a reason) or "route"`);
+        } else if (rule.skip !== undefined) {
+          if (!isString(rule.skip)) problems.push(`${where}.skip must be the reason (a string)`);
+        } else {
+          const { service, priority, urgency, escalationPolicy } = rule.route || {};
+          if (service !== undefined && !isString(service)) problems.push(`${where}.route.service must be a PD service ID`);
+          if (priority !== undefined && !codes.includes(priority))
+            problems.push(`${where}.route.priority must be the code of one of the priorities`);
+          if (urgency !== undefined && !["high", "low"].includes(urgency))
+            problems.push(`${where}.route.urgency must be "high" or "low"`);
+          if (escalationPolicy !== undefined && !isString(escalationPolicy))
+            problems.push(`${where}.route.escalationPolicy must be a PD escalation policy ID`);
+        }
+      });
+    }
+  }
+
+  return problems;
+}
+
+// --- Read, interpolate and validate the (current tenant's) mapping file ---
+function loadMapping(file = currentTenant().mappingFile) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const mapping = interpolate(raw);
+  const problems = validate(mapping);
+  if (problems.length > 0) {
+    throw new Error(`Invalid mapping file ${file}:\n  - ${problems.join("\n  - ")}`);
+  }
+  return mapping;
+}
+
+exports.loadMapping = loadMapping;
+exports.MAPPING_FILE = MAPPING_FILE;
+
+// The current tenant's mapping
+exports.getMapping = () => {
+  const file = currentTenant().mappingFile;
+  if (!mappings.has(file)) mappings.set(file, loadMapping(file));
+  return mappings.get(file);
+};
+
+// Reload every tenant's mapping file, keeping the previous mapping of any that is now invalid
+exports.reloadMapping = () => {
+  let ok = true;
+  for (const file of tenantMappingFiles()) {
+    try {
+      mappings.set(file, loadMapping(file));
+      log(`🔁 Reloaded mapping from ${file}`);
+    } catch (err) {
+      error("Mapping reload failed — keeping previous mapping", err.message);
+      ok = false;
+    }
+  }
+  return ok;
+};
+
+// Watch the mapping files and reload them whenever one changes on disk
+exports.watchMapping = () => {
+  for (const file of tenantMappingFiles()) {
+    fs.watchFile(file, { interval: 2000 }, (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs) exports.reloadMapping();
+    });
+  }
+};
+
+// --- Lookup helpers ---
+
+exports.getBoardNames = () => Object.keys(exports.getMapping().boards);
+
+exports.getBoard = (boardName) => exports.getMapping().boards[boardName] || null;
+
+exports.isBoardAllowed = (boardName) => Boolean(exports.getBoard(boardName));
+
+// Find the board a PagerDuty service belongs to, by service ID or name
+exports.findBoardByService = (serviceId, serviceName) => {
+  const boards = exports.getMapping().boards;
+  for (const [name, board] of Object.entries(boards)) {
+    if ((serviceId && board.service === serviceId) || (board.serviceName || name) === serviceName) {
+      return { name, ...board };
+    }
+  }
+  return null;
+};
+
+exports.findPriorityByCwName = (cwPriorityName) => {
+  const name = (cwPriorityName || "").trim().toLowerCase();
+  return (
+    exports
+      .getMapping()
+      .priorities.find((p) => p.cwNames.some((n) => n.toLowerCase() === name)) || null
+  );
+};
+
+exports.findPriorityByCode = (code) => exports.getMapping().priorities.find((p) => p.code === code) || null;
+
+exports.findPriorityByPdId = (pdPriorityId) =>
+  exports.getMapping().priorities.find((p) => p.pdPriorityId && p.pdPriorityId === pdPriorityId) ||
+  null;
+
+exports.isTriggerStatus = (status) => exports.getMapping().statuses.trigger.includes(status);
+
+exports.isResolveStatus = (status) => exports.getMapping().statuses.resolve.includes(status);
+
+// CW statuses meaning someone is on it: the PD incident is acknowledged
+exports.isAcknowledgeStatus = (status) => (exports.getMapping().statuses.acknowledge || []).includes(status);
+
+// Every webhook secret of the current tenant's boards
+exports.getWebhookSecrets = () =>
+  Object.values(exports.getMapping().boards)
+    .map((b) => b.webhookSecret)
+    .filter(Boolean);
+
+// CW status to apply for a PagerDuty event type, or null: pdEvents first, then statuses.fromPagerDuty
+exports.getCwStatusForPdEvent = (eventType) => {
+  const entry = exports.getMapping().pdEvents?.[eventType];
+  if (entry && entry.status !== undefined) return entry.status || null;
+  return exports.getMapping().statuses.fromPagerDuty[eventType] || null;
+};
+
+// Timeline note for a PagerDuty event type: { template, type } (type: CW note type), or null
+exports.getPdEventNote = (eventType) => {
+  const entry = exports.getMapping().pdEvents?.[eventType];
+  return entry?.note ? { template: entry.note, type: entry.noteType || "internal" } : null;
+};
+
+// CW time entries for incident response on a board, or null when the board doesn't log time
+exports.getTimeEntryConfig = (boardName) => {
+  const timeEntries = exports.getBoard(boardName)?.timeEntries;
+  if (!timeEntries) return null;
+  return { workType: timeEntries.workType, billable: timeEntries.billable ?? true };
+};
+
+// Which CW note types are mirrored to PD, and which CW note type PD notes become
+exports.getNoteSyncConfig = () => {
+  const notes = exports.getMapping().notes || {};
+  return {
+    cwToPd: { discussion: true, internal: false, resolution: true, ...notes.cwToPd },
+    pdToCw: notes.pdToCw || "discussion",
+  };
+};
+
+// Which CW ticket changes are pushed to the linked PD incident. unpagedPriority: what happens
+// when the ticket drops to a priority that isn't paged ("lower" the incident, "resolve" it, "keep" it)
+exports.getTicketSyncConfig = () => ({
+  priority: true,
+  title: true,
+  unpagedPriority: "lower",
+  ...exports.getMapping().ticketSync,
+});
+
+// Duplicate / child tickets ↔ PD incident merges. statuses: CW statuses that merge the ticket's
+// incident into its parent's; childStatus: CW status for a ticket whose incident was merged in PD
+// (null: the usual status for a resolved incident)
+exports.getMergeConfig = () => ({
+  statuses: DEFAULT_MERGE_STATUSES,
+  childStatus: "Cancelled: Child Ticket",
+  ...exports.getMapping().merges,
+});
+
+// Routing rules, in order (the first match wins); [] when there are none
+exports.getRoutingRules = () => exports.getMapping().rules || [];
+
+// When business hours are (rules match on "businessHours": true / false), or null
+exports.getBusinessHours = () => {
+  const hours = exports.getMapping().businessHours;
+  return hours ? { timezone: "UTC", ...hours } : null;
+};
+
+// How PD users are matched to CW members: by email, plus explicit overrides
+exports.getMemberConfig = () => {
+  const members = exports.getMapping().members || {};
+  return { matchBy: members.matchBy || "email", overrides: members.overrides || [] };
+};
+
+// SLA escalation settings, or null when the mapping has no "sla" section or it has "enabled": false
+// (opt-in: the default mapping ships it disabled). Priority and urgency are only ever raised, never lowered.
+exports.getSlaConfig = () => {
+  const sla = exports.getMapping().sla;
+  if (!sla || sla.enabled === false) return null;
+  return {
+    escalateBeforeMinutes: sla.escalateBeforeMinutes ?? DEFAULT_ESCALATE_BEFORE_MINUTES,
+    targets: sla.targets || DEFAULT_SLA_TARGETS,
+    escalation: {
+      urgency: "high",
+      priority: null,
+      ...sla.escalation,
+      responders: sla.escalation?.responders || [],
+    },
+  };
+};
@@ -0,0 +1,168 @@
+// src/config/tenants.js
+// Tenants: one ConnectWise company + PagerDuty account each, with its own credentials,
+// mapping file, webhook secrets and data directory.
+//
+// Without a tenants file there is one tenant, "default", configured from the env vars
+// (CW_*, PD_*, MAPPING_FILE, ADMIN_TOKEN, DASHBOARD_USER / DASHBOARD_PASSWORD) and served on the plain routes (/connectwise/webhook …).
+// With TENANTS_FILE (default config/tenants.json) the service runs exactly the tenants listed
+// there, each on /t/<name>/… — see config/tenants.example.json. An entry named "default" starts
+// from the env vars and is also served on the plain routes.
+const fs = require("fs");
+const path = require("path");
+const { getContext, runWithContext } = require("../utils/context");
+const { interpolate } = require("./interpolate");
+
+const DEFAULT_TENANT = "default";
+const TENANTS_FILE = process.env.TENANTS_FILE || path.join(__dirname, "../../config/tenants.json");
+const MAPPING_FILE = process.env.MAPPING_FILE || path.join(__dirname, "../../config/mapping.json");
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "../../data");
+const PD_EVENTS_URL = "https://events.pagerduty.com/v2/enqueue";
+
+const VALID_NAME = /^[a-z0-9][a-z0-9_-]{0,62}$/i;
+
+let tenants = null; // name → tenant
+
+// --- The single-tenant settings, from the environment ---
+function envSettings() {
+  const env = process.env;
+  return {
+    mappingFile: MAPPING_FILE,
+    adminToken: env.ADMIN_TOKEN,
+    dashboard: {
+      user: env.DASHBOARD_USER,
+      password: env.DASHBOARD_PASSWORD,
+    },
+    connectwise: {
+      region: env.CW_REGION,
+      siteUrl: env.CW_SITE_URL,
+      codebase: env.CW_CODEBASE,
+      companyId: env.CW_COMPANY_ID,
+      publicKey: env.CW_PUBLIC_KEY,
+      privateKey: env.CW_PRIVATE_KEY,
+      clientId: env.CW_CLIENT_ID,
+      webhookToken: env.CW_WEBHOOK_TOKEN,
+      webhookAllowedIps: env.CW_WEBHOOK_ALLOWED_IPS,
+    },
+    pagerduty: {
+      mode: env.PD_MODE,
+      apiUrl: env.PD_API_URL,
+      apiKey: env.PD_API_KEY,
+      userEmail: env.PD_USER_EMAIL,
+      eventsUrl: env.PD_EVENTS_URL,
+    },
+  };
+}
+
+// --- Fill in defaults and derived values (CW API base URL, data directory) ---
+// fromEnv: settings came from the env vars (error messages name the variables)
+function buildTenant(name, settings, { fromEnv, baseDir }) {
+  const cw = settings.connectwise || {};
+  const pd = settings.pagerduty || {};
+
+  // CW site: siteUrl overrides the cloud site picked by region (na, eu, au, za);
+  // codebase is the API version path segment, e.g. v2025_1 or v4_6_release
+  const region = (cw.region || "na").toLowerCase();
+  const siteUrl = (cw.siteUrl || `https://${region}.myconnectwise.net`).replace(/\/$/, "");
+  const codebase = cw.codebase || "v2025_1";
+
+  return {
+    name,
+    fromEnv,
+    dataDir: name === DEFAULT_TENANT ? DATA_DIR : path.join(DATA_DIR, "tenants", name),
+    mappingFile: settings.mappingFile ? path.resolve(baseDir, settings.mappingFile) : MAPPING_FILE,
+    adminToken: settings.adminToken || null,
+    // Bearer token for /t/<name>/metrics (METRICS_TOKEN is the one for every tenant's)
+    metricsToken: settings.metricsToken || null,
+    // Dashboard login: each tenant has its own (a tenant without one has no dashboard)
+    dashboard: {
+      user: settings.dashboard?.user || null,
+      password: settings.dashboard?.password || null,
+    },
+    connectwise: {
+      ...cw,
+      region,
+      siteUrl,
+      codebase,
+      apiUrl: `${siteUrl}/${codebase}/apis/3.0`,
+      webhookAllowedIps: cw.webhookAllowedIps || "",
+    },
+    pagerduty: {
+      ...pd,
+      mode: pd.mode || "rest",
+      eventsUrl: pd.eventsUrl || PD_EVENTS_URL,
+    },
+  };
+}
+
+// --- Read the tenants file (or the env vars) ---
+function loadTenants() {
+  if (!fs.existsSync(TENANTS_FILE)) {
+    const tenant = buildTenant(DEFAULT_TENANT, envSettings(), { fromEnv: true, baseDir: process.cwd() });
+    return { [DEFAULT_TENANT]: tenant };
+  }
+
+  const raw = JSON.parse(fs.readFileSync(TENANTS_FILE, "utf8"));
+  const entries = Object.entries(raw.tenants || {});
+  const problems = [];
+  if (!raw.tenants || typeof raw.tenants !== "object" || Array.isArray(raw.tenants)) {
+    problems.push(`"tenants" must be an object keyed by tenant name`);
+  } else if (entries.length === 0) {
+    problems.push(`"tenants" lists no tenant`);
+  }
+  for (const [name, settings] of entries) {
+    if (!VALID_NAME.test(name)) problems.push(`tenant name "${name}" may only contain letters, digits, "-" and "_"`);
+    if (!settings || typeof settings !== "object") problems.push(`tenants["${name}"] must be an object`);
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid tenants file ${TENANTS_FILE}:\n  - ${problems.join("\n  - ")}`);
+  }
+
+  const baseDir = path.dirname(TENANTS_FILE);
+  const loaded = {};
+  for (const [name, settings] of entries) {
+    const values = interpolate(settings);
+    if (name === DEFAULT_TENANT) {
+      const env = envSettings();
+      const merged = {
+        ...env,
+        ...values,
+        dashboard: { ...env.dashboard, ...values.dashboard },
+        connectwise: { ...env.connectwise, ...values.connectwise },
+        pagerduty: { ...env.pagerduty, ...values.pagerduty },
+      };
+      loaded[name] = buildTenant(name, merged, { fromEnv: true, baseDir });
+    } else {
+      loaded[name] = buildTenant(name, values, { fromEnv: false, baseDir });
+    }
+  }
+  return loaded;
+}
+
+exports.DEFAULT_TENANT = DEFAULT_TENANT;
+exports.TENANTS_FILE = TENANTS_FILE;
+exports.MAPPING_FILE = MAPPING_FILE;
+exports.DATA_DIR = DATA_DIR;
+exports.loadTenants = loadTenants;
+
+// Every configured tenant, by name
+exports.getTenants = () => {
+  if (!tenants) tenants = loadTenants();
+  return tenants;
+};
+
+exports.listTenants = () => Object.values(exports.getTenants());
+
+exports.getTenant = (name) => exports.getTenants()[name] || null;
+
+// --- The tenant the current request / event / job belongs to ---
+exports.currentTenantName = () => getContext()?.tenant || DEFAULT_TENANT;
+
+exports.currentTenant = () => {
+  const name = exports.currentTenantName();
+  const tenant = exports.getTenant(name);
+  if (!tenant) throw new Error(`Unknown tenant "${name}"`);
+  return tenant;
+};
+
+// Run fn on behalf of a tenant (background work: queue worker, reconciler, readiness checks)
+exports.runForTenant = (name, fn, context = {}) => runWithContext({ ...context, tenant: name }, fn);
@@ -0,0 +1,171 @@
+// src/config/validateConfig.js
+const fs = require("fs");
+const path = require("path");
+const { loadMapping } = require("./mapping");
+const { loadTenants } = require("./tenants");
+
+// --- ${ENV_VAR} placeholders in the mapping file whose variable isn't set ---
+// → [{ where: 'boards["Security Operations Center"].service', key: "service", name: "PD_SERVICE_SOC", owner }]
+function unsetPlaceholders(value, where = "", owner = null, key = null, found = []) {
+  if (typeof value === "string") {
+    for (const [, name] of value.matchAll(/\$\{(\w+)\}/g)) {
+      if (!process.env[name]) found.push({ where, key, name, owner });
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((v, i) => unsetPlaceholders(v, `${where}[${i}]`, value, key, found));
+  } else if (value && typeof value === "object") {
+    for (const [k, v] of Object.entries(value)) {
+      const child = !where ? k : /^\w+$/.test(k) ? `${where}.${k}` : `${where}["${k}"]`;
+      unsetPlaceholders(v, child, value, k, found);
+    }
+  }
+  return found;
+}
+
+// Unset or empty means "use the default"
+const isPositiveNumber = (v) => v === undefined || v === "" || Number(v) > 0;
+
+// Env var behind each tenant setting (single-tenant setup, or the "default" tenant)
+const ENV_NAMES = {
+  "connectwise.companyId": "CW_COMPANY_ID",
+  "connectwise.publicKey": "CW_PUBLIC_KEY",
+  "connectwise.privateKey": "CW_PRIVATE_KEY",
+  "connectwise.clientId": "CW_CLIENT_ID",
+  "connectwise.siteUrl": "CW_SITE_URL",
+  "connectwise.region": "CW_REGION",
+  "pagerduty.mode": "PD_MODE",
+  "pagerduty.apiKey": "PD_API_KEY",
+  "pagerduty.apiUrl": "PD_API_URL",
+  "pagerduty.userEmail": "PD_USER_EMAIL",
+};
+
+const getPath = (object, dotted) => dotted.split(".").reduce((value, key) => value?.[key], object);
+
+// --- One tenant's credentials, mapping file and webhook authentication ---
+function checkTenant(tenant, errors, warnings) {
+  const name = (setting) => (tenant.fromEnv ? ENV_NAMES[setting] : setting);
+  const prefix = tenant.fromEnv ? "" : `tenant ${tenant.name}: `;
+  const error = (message) => errors.push(prefix + message);
+  const warning = (message) => warnings.push(prefix + message);
+  const cw = tenant.connectwise;
+  const pd = tenant.pagerduty;
+
+  // --- PagerDuty ---
+  if (!["rest", "events"].includes(pd.mode)) error(`${name("pagerduty.mode")} must be "rest" or "events"`);
+  if (pd.mode === "rest") {
+    for (const setting of ["pagerduty.apiKey", "pagerduty.apiUrl", "pagerduty.userEmail"]) {
+      if (!getPath(tenant, setting)) error(`${name(setting)} is not set (required in "rest" mode)`);
+    }
+  } else if (!pd.apiKey || !pd.apiUrl) {
+    warning(`${name("pagerduty.apiKey")}/${name("pagerduty.apiUrl")} not set: notes, reassignment and incident lookups are disabled`);
+  }
+
+  // --- ConnectWise ---
+  for (const setting of ["connectwise.companyId", "connectwise.publicKey", "connectwise.privateKey", "connectwise.clientId"]) {
+    if (!getPath(tenant, setting)) error(`${name(setting)} is not set`);
+  }
+  if (!/^https?:\/\/[^/]+/.test(cw.siteUrl)) {
+    error(`${name("connectwise.siteUrl")} must be a URL like https://na.myconnectwise.net`);
+  }
+  const siteFromRegion = cw.siteUrl === `https://${cw.region}.myconnectwise.net`;
+  if (siteFromRegion && !["na", "eu", "au", "za"].includes(cw.region)) {
+    error(`${name("connectwise.region")} must be na, eu, au or za (or set ${name("connectwise.siteUrl")})`);
+  }
+
+  // --- Mapping file: schema, then unset ${ENV} placeholders ---
+  try {
+    loadMapping(tenant.mappingFile);
+
+    const raw = JSON.parse(fs.readFileSync(tenant.mappingFile, "utf8"));
+    for (const { where, key, name: envName, owner } of unsetPlaceholders(raw)) {
+      if (key === "integrationKey" && pd.mode !== "events") continue;
+      if (key === "pdPriorityId" && owner?.page === false) {
+        warning(`${where}: ${envName} is not set (PD → CW priority sync won't recognise it)`);
+        continue;
+      }
+      error(`${where}: ${envName} is not set`);
+    }
+  } catch (err) {
+    error(err.message);
+  }
+
+  // --- Optional features ---
+  if (!tenant.adminToken) {
+    warning(`${tenant.fromEnv ? "ADMIN_TOKEN" : "adminToken"} not set: the /admin API is disabled`);
+  }
+  if (!tenant.dashboard.user || !tenant.dashboard.password) {
+    warning(
+      tenant.fromEnv
+        ? "DASHBOARD_USER / DASHBOARD_PASSWORD not set: the dashboard is disabled"
+        : "dashboard.user / dashboard.password not set: the dashboard is disabled"
+    );
+  }
+  if (!cw.webhookToken && !cw.webhookAllowedIps) {
+    warning(
+      tenant.fromEnv
+        ? "Neither CW_WEBHOOK_TOKEN nor CW_WEBHOOK_ALLOWED_IPS is set: CW webhooks are not authenticated"
+        : "Neither connectwise.webhookToken nor connectwise.webhookAllowedIps is set: CW webhooks are not authenticated"
+    );
+  }
+}
+
+// --- Check everything the service needs and report every problem at once ---
+// errors stop startup (and fail /readyz); warnings only disable optional features.
+exports.validateConfig = () => {
+  const errors = [];
+  const warnings = [];
+  const env = process.env;
+
+  // --- Tenants (just "default", from the env vars, without a tenants file) ---
+  try {
+    for (const tenant of Object.values(loadTenants())) checkTenant(tenant, errors, warnings);
+  } catch (err) {
+    errors.push(err.message);
+  }
+
+  // --- Numbers ---
+  for (const name of [
+    "PORT",
+    "QUEUE_MAX_ATTEMPTS",
+    "QUEUE_RETRY_BASE_MS",
+    "QUEUE_RETRY_MAX_MS",
+    "QUEUE_POLL_MS",
+    "HISTORY_MAX_EVENTS",
+    "CW_RETRY_BASE_MS",
+    "IDEMPOTENCY_EVENT_TTL_HOURS",
+    "DASHBOARD_SESSION_HOURS",
+    "RECONCILE_INTERVAL_MINUTES",
+    "SLA_CHECK_INTERVAL_MINUTES",
+  ]) {
+    if (!isPositiveNumber(env[name])) errors.push(`${name} must be a positive number`);
+  }
+  if (env.CW_MAX_RETRIES && !(Number(env.CW_MAX_RETRIES) >= 0)) {
+    errors.push("CW_MAX_RETRIES must be 0 or more");
+  }
+
+  // --- Storage ---
+  if (env.REDIS_URL && !/^rediss?:\/\//.test(env.REDIS_URL)) errors.push("REDIS_URL must start with redis:// or rediss://");
+  const dataDir = env.DATA_DIR || path.join(__dirname, "../../data");
+  try {
+    fs.mkdirSync(dataDir, { recursive: true });
+    fs.accessSync(dataDir, fs.constants.W_OK);
+  } catch (err) {
+    errors.push(`DATA_DIR ${dataDir} is not writable: ${err.message}`);
+  }
+
+  // --- Optional features ---
+  if (env.LOG_LEVEL && !["debug", "info", "warn", "error"].includes(env.LOG_LEVEL.toLowerCase())) {
+    errors.push("LOG_LEVEL must be debug, info, warn or error");
+  }
+  if (env.SHADOW_MODE === "true" && (!env.SHADOW_LIVE_URL || !env.SHADOW_LIVE_ADMIN_TOKEN)) {
+    warnings.push("SHADOW_LIVE_URL/SHADOW_LIVE_ADMIN_TOKEN not set: shadow comparison is unavailable");
+  }
+
+  return { errors, warnings };
+};
+
+// For the CLIs: throw with every error listed
+exports.assertValidConfig = () => {
+  const { errors } = exports.validateConfig();
+  if (errors.length) throw new Error(`Invalid configuration:\n  - ${errors.join("\n  - ")}`);
+};
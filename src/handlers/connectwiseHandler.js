@@ -0,0 +1,349 @@
+// src/handlers/connectwiseHandler.js
+const crypto = require("crypto");
+const { log, debug } = require("../utils/logger");
+const { addToContext } = require("../utils/context");
+const {
+  createIncident,
+  updateIncident,
+  getIncident,
+  getIncidentByKey,
+  reassignIncident,
+  updateIncidentDetails,
+  addIncidentNote,
+  mergeIncidents,
+  planIncident,
+  addPendingDescriptionNote,
+  incidentTitle,
+  pdMode,
+} = require("../services/pagerdutyService");
+const { getTicket, getTicketDescription, addTicketNote } = require("../services/connectwiseService");
+const {
+  getBoard,
+  isBoardAllowed,
+  isTriggerStatus,
+  isResolveStatus,
+  isAcknowledgeStatus,
+  findPriorityByCwName,
+  findPriorityByPdId,
+  getTicketSyncConfig,
+  getMergeConfig,
+} = require("../config/mapping");
+const {
+  recordLink,
+  getCurrentIncidentId,
+  getSyncState,
+  updateSyncState,
+} = require("../store/linkStore");
+const { syncCwNotesToPd, withOriginMarker } = require("../services/noteSync");
+const { recordNoteSync } = require("../store/noteSyncStore");
+const { pdUserForCwMember } = require("../services/memberMapper");
+
+const skipped = (reason, message) => ({ outcome: "skipped", reason, message });
+
+// createIncident returned nothing: report why the routing rules declined the ticket
+async function creationSkipped(ticket, status) {
+  const plan = await planIncident(ticket);
+  const message = plan.rule ? `Incident creation skipped by rule "${plan.rule}"` : "Incident creation skipped";
+  return { ...skipped(plan.skip || "not_paged", message), status };
+}
+
+// Ticket, board and service an event is about (for the event history, even if processing fails)
+exports.describeConnectWiseEvent = (body) => {
+  let ticket = null;
+  try {
+    ticket = exports.extractTicket(body);
+  } catch {
+    // malformed Entity — reported by the handler itself
+  }
+  const action = (body.action || body.Action || body.event || "").toLowerCase();
+  const board = ticket?.board?.name || null;
+  return {
+    // CW callbacks carry no event ID: the body hash matches the same callback across instances
+    eventId: crypto.createHash("sha256").update(JSON.stringify(body)).digest("hex").slice(0, 32),
+    eventType: `ticket${action ? `.${action}` : ""}`,
+    ticketId: ticket?.id ? String(ticket.id) : null,
+    board,
+    service: board ? getBoard(board)?.service || null : null,
+  };
+};
+
+// Pull the ticket out of a CW callback body (the entity may arrive as a JSON string)
+exports.extractTicket = (body) => {
+  let ticket = body.instance || body.entity || body.Entity;
+  if (typeof ticket === "string") ticket = JSON.parse(ticket);
+  return ticket || null;
+};
+
+// ---- Process one ConnectWise ticket callback -----
+// Throws on failure so the queue worker can retry the event.
+exports.handleConnectWiseEvent = async (body) => {
+  debug("📩 CW webhook received", { action: body.action || body.Action, type: body.type || body.Type, id: body.ID || body.id });
+
+  let ticket = exports.extractTicket(body);
+  const type = (body.type || body.Type || "").toLowerCase();
+
+  if (type !== "ticket") return skipped("not_a_ticket", "Ignored non-ticket webhook");
+  if (!ticket || !ticket.id) return skipped("missing_ticket_id", "Missing ticket object or ID");
+
+  // --- Optionally trust only the CW API, not the callback's Entity payload ---
+  if (process.env.CW_WEBHOOK_REFETCH === "true") {
+    const fetched = await getTicket(ticket.id);
+    if (!fetched) {
+      log(`⏩ Skipped Ticket #${ticket.id}: not found in ConnectWise`);
+      return skipped("ticket_not_found", "Ticket not found in ConnectWise");
+    }
+    ticket = fetched;
+  }
+
+  // --- Check Board Filter ---
+  if (!isBoardAllowed(ticket.board?.name)) {
+    log(`⏩ Skipped Ticket #${ticket.id}: board "${ticket.board?.name}" not allowed`);
+    return skipped("board_not_allowed", "Board not allowed");
+  }
+
+  // --- Get Ticket Description ---
+  const description = await getTicketDescription(ticket.id);
+  if (description) ticket.description = description;
+
+  const status = (ticket.status?.name || "").trim();
+
+  const incidentKey = `CW-${ticket.id}`;
+  let existingIncident = null;
+
+  // --- Look up the linked incident first, fall back to the incident key ---
+  const linkedIncidentId = getCurrentIncidentId(ticket.id);
+  if (linkedIncidentId) {
+    existingIncident = await getIncident(linkedIncidentId);
+  }
+
+  if (!existingIncident) {
+    existingIncident = await getIncidentByKey(incidentKey);
+  }
+
+  // (no incident yet: createIncident re-checks under the ticket's lock before creating one)
+
+  if (existingIncident) addToContext({ incidentId: existingIncident.id });
+  if (existingIncident && existingIncident.id !== linkedIncidentId) {
+    recordLink(ticket.id, existingIncident.id, { reason: "adopted", board: ticket.board?.name });
+  }
+
+  let result = await applyTicketStatus(ticket, status, existingIncident);
+
+  if (result.incidentId) {
+    addToContext({ incidentId: result.incidentId });
+
+    // --- Push priority / summary changes to the open incident (a just-created one is current) ---
+    if (result.outcome !== "created" && result.pdStatus !== "resolved" && !isResolveStatus(status)) {
+      const { changes, pdStatus } = await syncDetailsToPd(ticket, { ...existingIncident, status: result.pdStatus });
+      if (changes.length > 0) {
+        const { reason, ...rest } = result; // no longer skipped
+        const message = result.outcome === "updated" ? `${result.message}; ` : "Incident updated: ";
+        result = { ...rest, outcome: "updated", message: message + changes.join(", "), pdStatus };
+      }
+    }
+
+    // --- Remember the last known state on both sides (dashboard, and what counts as a change) ---
+    updateSyncState(ticket.id, {
+      cwStatus: status,
+      pdStatus: result.pdStatus,
+      summary: ticket.summary,
+      priority: ticket.priority?.name || null,
+    });
+
+    // --- Mirror new ticket notes to the (now) linked incident ---
+    await syncCwNotesToPd(ticket.id, result.incidentId);
+
+    // --- Reassign the incident when the CW owner changes ---
+    await syncOwnerToPd(ticket, result.incidentId);
+  }
+
+  return result;
+};
+
+// --- Reassign the PD incident to the CW ticket owner, if the owner changed since the last sync ---
+async function syncOwnerToPd(ticket, incidentId) {
+  const owner = ticket.owner?.identifier || null;
+  const syncState = getSyncState(ticket.id);
+
+  // First time we see this ticket: remember the owner but leave PD's escalation alone
+  if (!("owner" in syncState)) {
+    updateSyncState(ticket.id, { owner });
+    return;
+  }
+  if (!owner || owner === syncState.owner) return;
+
+  const pdUserId = await pdUserForCwMember(owner);
+  if (!pdUserId) {
+    log(`Ticket #${ticket.id} owner ${owner} has no PagerDuty user — incident not reassigned`);
+  } else if (!isResolveStatus((ticket.status?.name || "").trim())) {
+    await reassignIncident(incidentId, pdUserId);
+  }
+  updateSyncState(ticket.id, { owner });
+}
+
+// --- Push CW priority and summary changes made since the last sync to the PD incident ---
+// A priority that isn't paged (e.g. P4) is handled by ticketSync.unpagedPriority.
+// Returns what changed and the incident's status afterwards.
+async function syncDetailsToPd(ticket, incident) {
+  const config = getTicketSyncConfig();
+  const syncState = getSyncState(ticket.id);
+  const priorityName = ticket.priority?.name || null;
+  const priorityChanged = config.priority && "priority" in syncState && priorityName !== syncState.priority;
+  const summaryChanged = config.title && "summary" in syncState && ticket.summary !== syncState.summary;
+  const unchanged = { changes: [], pdStatus: incident.status };
+  if (!priorityChanged && !summaryChanged) return unchanged;
+
+  const priority = priorityChanged ? findPriorityByCwName(priorityName) : null;
+  const update = {};
+  let priorityCode = incident.priority?.id ? findPriorityByPdId(incident.priority.id)?.code : null;
+
+  if (priorityChanged && !priority) {
+    log(`Ticket #${ticket.id} priority "${priorityName}" is not mapped — incident priority left as is`);
+  } else if (priorityChanged && !priority.page && config.unpagedPriority === "keep") {
+    log(`Ticket #${ticket.id} dropped to ${priority.code} (not paged) — incident kept as is`);
+  } else if (priorityChanged && !priority.page && config.unpagedPriority === "resolve") {
+    // Recorded as synced: the note is about the ticket, it needn't go back to it
+    const pdNote = await addIncidentNote(
+      incident.id,
+      withOriginMarker(`Resolved: the ticket's priority was lowered to "${priorityName}", which is not paged`, "connectwise")
+    );
+    recordNoteSync({ pdNoteId: pdNote?.id, ticketId: ticket.id, incidentId: incident.id, origin: "connectwise" });
+    // The ticket itself stays open: the PD resolve must not close it (see the PD handler)
+    updateSyncState(ticket.id, { unpagedIncidentId: incident.id });
+    await updateIncident(incident.id, "resolved", ticket);
+    log(`Ticket #${ticket.id} dropped to ${priority.code} (not paged) → incident ${incident.id} resolved`);
+    return { changes: [`resolved (${priority.code} is not paged)`], pdStatus: "resolved" };
+  } else if (priorityChanged) {
+    if (priority.pdPriorityId && priority.pdPriorityId !== incident.priority?.id) update.priorityId = priority.pdPriorityId;
+    if (priority.urgency !== incident.urgency) update.urgency = priority.urgency;
+    priorityCode = priority.code;
+  }
+
+  // The title starts with the priority code, so it follows priority changes too
+  priorityCode = priorityCode || incident.title?.match(/^(\w+) \|/)?.[1];
+  const title = config.title && priorityCode ? incidentTitle(ticket, priorityCode) : null;
+  if (title && title !== incident.title) update.title = title;
+
+  if (Object.keys(update).length === 0) return unchanged;
+  await updateIncidentDetails(incident.id, update);
+
+  const changes = [];
+  if (update.priorityId) changes.push(`priority ${priorityCode}`);
+  if (update.urgency) changes.push(`urgency ${update.urgency}`);
+  if (update.title) changes.push("title");
+  log(`Ticket #${ticket.id} changes pushed to incident ${incident.id}: ${changes.join(", ")}`);
+  return { changes, pdStatus: incident.status };
+}
+
+// --- Duplicate / child ticket: merge its incident into the parent ticket's open incident ---
+// Returns the result, or null to resolve the incident as usual (not a merge status, no parent,
+// or the parent has no open incident).
+async function mergeIntoParent(ticket, status, incident) {
+  const parentId = ticket.mergedParentTicket?.id || ticket.parentTicketId;
+  if (!getMergeConfig().statuses.includes(status) || !parentId || String(parentId) === String(ticket.id)) return null;
+
+  const parentIncidentId = getCurrentIncidentId(parentId);
+  const parentIncident = parentIncidentId ? await getIncident(parentIncidentId) : null;
+  if (!parentIncident || parentIncident.status === "resolved") {
+    log(`Ticket #${ticket.id} belongs to Ticket #${parentId}, which has no open incident — resolving instead of merging`);
+    return null;
+  }
+
+  // Recorded first: the PD resolve the merge causes must not change the ticket again (see the PD handler)
+  updateSyncState(ticket.id, { mergedInto: parentIncident.id });
+  await mergeIncidents(parentIncident.id, incident.id);
+
+  const cwNote = await addTicketNote(
+    ticket.id,
+    `🔗 Incident ${incident.id} merged into incident ${parentIncident.id} of parent Ticket #${parentId}`,
+    "Internal"
+  );
+  recordNoteSync({ cwNoteId: cwNote?.id, ticketId: ticket.id, incidentId: incident.id, origin: "merge" });
+  log(`Ticket #${ticket.id} (${status}) → incident ${incident.id} merged into ${parentIncident.id} (Ticket #${parentId})`);
+  return { outcome: "updated", message: `Incident merged into ${parentIncident.id} (Ticket #${parentId})` };
+}
+
+// --- Create, reopen, acknowledge or resolve the PD incident for the ticket's CW status ---
+async function applyTicketStatus(ticket, status, existingIncident) {
+  const done = (result, incident) => ({
+    ...result,
+    status,
+    incidentId: incident?.id || null,
+    pdStatus: incident?.status || null,
+  });
+
+  // Events API mode can't always see the incident; a resolve or acknowledge event for the
+  // dedup key is safe either way (PD ignores it when no alert is open for the key)
+  if (!existingIncident && pdMode() === "events" && isResolveStatus(status)) {
+    await updateIncident(null, "resolved", ticket);
+    return done({ outcome: "updated", message: "Resolve event sent" });
+  }
+  if (!existingIncident && pdMode() === "events" && isAcknowledgeStatus(status)) {
+    await updateIncident(null, "acknowledged", ticket);
+    return done({ outcome: "updated", message: "Acknowledge event sent" });
+  }
+
+  if (!existingIncident) {
+    // Still not found → Create a new incident (safe)
+    const newIncident = await createIncident(ticket);
+    if (!newIncident) return creationSkipped(ticket, status);
+
+    log(`Created NEW PagerDuty incident for Ticket #${ticket.id} → Incident ID: ${newIncident.id}`);
+    return done({ outcome: "created", message: "Incident created" }, newIncident);
+  }
+
+  // --- Existing PD Incident Found ---
+  const pdStatus = existingIncident.status; // 'triggered', 'acknowledged', 'resolved'
+  log(`🔍 Existing PagerDuty incident found (${existingIncident.id}) with status: ${pdStatus}`);
+
+  // Resolved only because the ticket dropped to a priority that isn't paged: page again once raised
+  const repage =
+    pdStatus === "resolved" &&
+    getSyncState(ticket.id).unpagedIncidentId === existingIncident.id &&
+    !isResolveStatus(status) &&
+    Boolean(findPriorityByCwName(ticket.priority?.name)?.page);
+
+  // --- CW Ticket Status Handling ---
+  if (isTriggerStatus(status) || repage) {
+    if (pdStatus === "resolved") {
+      // Can't reopen a resolved PD incident → Create a new one
+      const newIncident = await createIncident(ticket);
+      if (!newIncident) return creationSkipped(ticket, status);
+
+      log(`Existing incident was resolved. Created NEW incident ${newIncident.id}`);
+      return done({ outcome: "created", message: "Incident created" }, newIncident);
+    }
+    log(` Ticket #${ticket.id} already active in PagerDuty (status: ${pdStatus})`);
+    // A delivery that created the incident but failed to post the description is retried here
+    await addPendingDescriptionNote(ticket, existingIncident.id);
+    return done(skipped("already_active", "Incident already active"), existingIncident);
+  } else if (isResolveStatus(status)) {
+    if (pdStatus !== "resolved") {
+      const merged = await mergeIntoParent(ticket, status, existingIncident);
+      if (merged) return done(merged, { ...existingIncident, status: "resolved" });
+
+      await updateIncident(existingIncident.id, "resolved", ticket);
+      log(`Ticket #${ticket.id} → PagerDuty status updated to RESOLVED`);
+      return done(
+        { outcome: "updated", message: "Incident resolved" },
+        { ...existingIncident, status: "resolved" }
+      );
+    }
+    log(`Ticket #${ticket.id} already resolved in PagerDuty`);
+    return done(skipped("already_resolved", "Incident already resolved"), existingIncident);
+  } else if (isAcknowledgeStatus(status)) {
+    if (pdStatus === "triggered") {
+      await updateIncident(existingIncident.id, "acknowledged", ticket);
+      log(`Ticket #${ticket.id} → PagerDuty status updated to ACKNOWLEDGED`);
+      return done(
+        { outcome: "updated", message: "Incident acknowledged" },
+        { ...existingIncident, status: "acknowledged" }
+      );
+    }
+    log(`Ticket #${ticket.id} already ${pdStatus} in PagerDuty`);
+    return done(skipped(`already_${pdStatus}`, `Incident already ${pdStatus}`), existingIncident);
+  }
+
+  log(`Ticket #${ticket.id} → CW Status "${status}" has no PagerDuty mapping`);
+  return done(skipped("status_not_mapped", "CW status has no PagerDuty mapping"), existingIncident);
+}
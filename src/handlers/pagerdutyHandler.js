@@ -0,0 +1,312 @@
+// src/handlers/pagerdutyHandler.js
+const { log } = require("../utils/logger");
+const {
+  updateTicket,
+  addTicketNote,
+  addTicketResource,
+  attachChildTickets,
+} = require("../services/connectwiseService");
+const { getIncidentNotes } = require("../services/pagerdutyService");
+const { syncPdNoteToCw, withOriginMarker } = require("../services/noteSync");
+const { isPdNoteSynced } = require("../store/noteSyncStore");
+const {
+  findBoardByService,
+  findPriorityByPdId,
+  getCwStatusForPdEvent,
+  getPdEventNote,
+  getMergeConfig,
+} = require("../config/mapping");
+const {
+  recordLink,
+  getTicketIdForIncident,
+  findTicketIdForIncident,
+  getSyncState,
+  updateSyncState,
+} = require("../store/linkStore");
+const { cwMemberForPdUser, isIntegrationUser } = require("../services/memberMapper");
+const { logResponseTime } = require("../services/timeEntries");
+
+// Events that hand the incident to new assignees
+const ASSIGNMENT_EVENTS = ["incident.reassigned", "incident.escalated", "incident.delegated"];
+
+// --- PD users who now own the incident: whoever acknowledged it, or the new assignees ---
+function getResponderIds(eventType, event, incident) {
+  const assignees = (incident.assignees || []).map((a) => a.id).filter(Boolean);
+  if (eventType === "incident.acknowledged") {
+    const agent = event.agent?.type === "user_reference" ? event.agent.id : null;
+    return agent ? [agent, ...assignees.filter((id) => id !== agent)] : assignees;
+  }
+  if (ASSIGNMENT_EVENTS.includes(eventType)) return assignees;
+  return [];
+}
+
+// --- On-call timeline: the event as a CW note, if the mapping has a note for its type (pdEvents) ---
+// Template placeholders: {agent} {assignees} {escalationPolicy} {priority} {status} {responder}
+// {message} {title} {url}
+async function addTimelineNote(ticketId, event, data, incident) {
+  const note = getPdEventNote(event.event_type);
+  if (!note) return null;
+  // Our own changes (e.g. a CW priority pushed to PD) are already on the ticket
+  if (await isIntegrationUser(event.agent?.id)) return null;
+
+  const values = {
+    agent: event.agent?.summary || "PagerDuty",
+    assignees: (incident.assignees || []).map((a) => a.summary).filter(Boolean).join(", ") || "nobody",
+    escalationPolicy: incident.escalation_policy?.summary || "another escalation policy",
+    priority: incident.priority?.summary || "none",
+    status: incident.status || "",
+    responder: data.user?.summary || data.escalation_policy?.summary || "A responder",
+    message: data.message || "",
+    title: incident.title || "",
+    url: incident.html_url || "",
+  };
+  const text = note.template.replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? values[key] : placeholder));
+
+  const cwNote = await addTicketNote(ticketId, withOriginMarker(text, "pagerduty"), note.type);
+  log(`🕒 Added ${event.event_type} to the timeline of Ticket #${ticketId}`);
+  return cwNote;
+}
+
+// --- Incident merged into another one (PD resolves it with a merge resolve_reason) ---
+// null for anything else. known: merged for a duplicate / child ticket by the CW handler (or an
+// earlier delivery); otherwise the ticket becomes a child of the target incident's ticket.
+async function linkMergedTicket(ticketId, event, incident) {
+  const reason = incident.resolve_reason;
+  if (event.event_type !== "incident.resolved" || reason?.type !== "merge_resolve_reason") return null;
+
+  const targetId = reason.incident?.id;
+  if (getSyncState(ticketId).mergedInto === targetId) return { known: true, targetId };
+
+  const agent = event.agent?.summary || "PagerDuty";
+  const linkedTicketId = getTicketIdForIncident(targetId);
+  const parentTicketId = linkedTicketId && String(linkedTicketId) !== String(ticketId) ? linkedTicketId : null;
+  let text = `🔗 Merged in PagerDuty into incident ${targetId} by ${agent}`;
+  if (parentTicketId) {
+    await attachChildTickets(parentTicketId, ticketId);
+    text = `🔗 Merged in PagerDuty into incident ${targetId} (Ticket #${parentTicketId}) by ${agent}`;
+  }
+
+  await addTicketNote(ticketId, withOriginMarker(text, "pagerduty"), "Internal");
+  updateSyncState(ticketId, { mergedInto: targetId });
+  log(`🔗 Incident ${incident.id} merged into ${targetId}${parentTicketId ? ` → Ticket #${ticketId} is now a child of #${parentTicketId}` : ""}`);
+  return { known: false, targetId, parentTicketId };
+}
+
+// --- Extract service info safely ---
+exports.extractService = (data) => {
+  const incident = data.incident || data;
+  return {
+    id: incident.service?.id || data.service?.id || incident.services?.[0]?.id || null,
+    name:
+      incident.service?.summary ||
+      data.service?.summary ||
+      incident.services?.[0]?.summary ||
+      "Unknown Service",
+  };
+};
+
+// Ticket, incident, board and service an event is about (for the event history, even if processing fails)
+exports.describePagerDutyEvent = (body) => {
+  const data = body.event?.data || {};
+  const incident = data.incident || data;
+  const service = exports.extractService(data);
+  const board = service.id ? findBoardByService(service.id, service.name) : null;
+  return {
+    eventId: body.event?.id || null,
+    eventType: body.event?.event_type || null,
+    ticketId: incident.id ? findTicketIdForIncident(incident) : null,
+    incidentId: incident.id || null,
+    board: board?.name || null,
+    service: service.id ? service.name : null,
+  };
+};
+
+// --- Process one verified PagerDuty v3 webhook ---
+// Throws on failure so the queue worker can retry the event.
+exports.handlePagerDutyEvent = async (body) => {
+  const data = body.event.data;
+  const eventType = body.event.event_type;
+  const incident = data.incident || data; // handle both cases
+
+  // --- Handle annotation events (notes added in PagerDuty UI) ---
+  if (eventType === "incident.annotated") {
+    const pdNote = {
+      id: data.type === "incident_note" ? data.id : null,
+      content:
+        data.content ||
+        incident?.event_details?.description ||
+        incident?.summary ||
+        "Annotation added in PagerDuty",
+      user: body.event.agent,
+    };
+
+    const ticketId = findTicketIdForIncident(incident);
+
+    if (!ticketId) {
+      log(`Skipped annotation event — no ticket ID found`);
+      return { outcome: "skipped", reason: "no_linked_ticket", message: "No ConnectWise ticket ID found" };
+    }
+
+    const cwNote = await syncPdNoteToCw(ticketId, incident.id, pdNote);
+    if (!cwNote) {
+      log(`Skipped annotation on Ticket #${ticketId} — already synced or mirrored from ConnectWise`);
+      return { outcome: "skipped", reason: "note_already_synced", message: "Annotation already synced", ticketId };
+    }
+
+    log(`Added PagerDuty annotation to ConnectWise Ticket #${ticketId}: ${pdNote.content}`);
+    return { outcome: "updated", message: "Annotation handled", ticketId, incidentId: incident.id };
+  }
+
+  const service = exports.extractService(data);
+
+  // --- Extract ConnectWise Ticket ID ---
+  const ticketId = findTicketIdForIncident(incident);
+  if (!ticketId) {
+    log(`No ConnectWise ticket linked to incident ${incident.id} or found in its title`);
+    return { outcome: "skipped", reason: "no_linked_ticket", message: "No ConnectWise ticket ID found" };
+  }
+
+  log(`Matched PagerDuty incident → ConnectWise Ticket #${ticketId} (Service: ${service.name})`);
+
+  // Keep the pair we found by title so later events (and owner sync) use the link
+  if (!getTicketIdForIncident(incident.id)) {
+    recordLink(ticketId, incident.id, { reason: "adopted" });
+  }
+
+  // --- Merged into another incident: the tickets are linked instead of the usual resolve ---
+  const merge = await linkMergedTicket(ticketId, body.event, incident);
+
+  // --- Map PagerDuty → CW Status ---
+  // Not when we resolved the incident because the ticket dropped to an unpaged priority: the ticket stays open
+  const keepTicketOpen =
+    eventType === "incident.resolved" && getSyncState(ticketId).unpagedIncidentId === incident.id;
+  let statusUpdate = keepTicketOpen ? null : getCwStatusForPdEvent(eventType);
+  if (merge?.known) statusUpdate = null; // already closed as a duplicate / child ticket
+  else if (merge?.parentTicketId) statusUpdate = getMergeConfig().childStatus || statusUpdate;
+
+  // --- Map PD Priority → CW Priority ---
+  // (that incident still has the paged priority the ticket dropped from)
+  const pdPriorityId = keepTicketOpen ? null : incident.priority?.id;
+  const priorityUpdate = pdPriorityId ? findPriorityByPdId(pdPriorityId)?.cwPriority : null;
+
+  const updates = [];
+
+  if (statusUpdate) {
+    updates.push({
+      op: "replace",
+      path: "status",
+      value: { name: statusUpdate },
+    });
+  }
+
+  if (priorityUpdate) {
+    updates.push({
+      op: "replace",
+      path: "priority",
+      value: { id: priorityUpdate.id, name: priorityUpdate.name },
+    });
+    log(`🔄 Updating priority → ${priorityUpdate.name}`);
+  }
+
+  // --- Map PD responders → CW ticket owner and resources ---
+  const syncState = getSyncState(ticketId);
+  const members = [];
+  for (const pdUserId of getResponderIds(eventType, body.event, incident)) {
+    const identifier = await cwMemberForPdUser(pdUserId);
+    if (identifier && !members.includes(identifier)) members.push(identifier);
+  }
+  const [owner, ...resources] = members;
+
+  if (owner && owner !== syncState.owner) {
+    updates.push({
+      op: "replace",
+      path: "owner",
+      value: { identifier: owner },
+    });
+    log(`👤 Updating owner → ${owner}`);
+  }
+
+  // --- Apply updates to CW ticket ---
+  if (updates.length > 0) {
+    await updateTicket(ticketId, updates);
+    log(`Updated ConnectWise Ticket #${ticketId}`);
+    // So the ticket's callback for this isn't taken for a CW-side priority change
+    if (priorityUpdate) updateSyncState(ticketId, { priority: priorityUpdate.name });
+  }
+
+  if (owner) updateSyncState(ticketId, { owner });
+
+  const knownResources = syncState.resources || [];
+  for (const identifier of resources.filter((r) => !knownResources.includes(r))) {
+    await addTicketResource(ticketId, identifier);
+    updateSyncState(ticketId, { resources: [...(getSyncState(ticketId).resources || []), identifier] });
+  }
+
+  // --- Add resolution note if resolved ---
+  // Once per resolve event: a retry after a later step failed doesn't add it again
+  const resolutionNoted = Boolean(body.event.id) && getSyncState(ticketId).resolutionNoteFor === body.event.id;
+  if (eventType === "incident.resolved" && !keepTicketOpen && !merge && !resolutionNoted) {
+    let resolutionNote = "Resolved in PagerDuty";
+    let alreadyMirrored = false;
+
+    try {
+      // Fetch latest PagerDuty notes for the incident
+      const notes = await getIncidentNotes(incident.id);
+
+      if (notes.length > 0) {
+        // Find note that starts with "Resolution Note:"
+        const resolutionEntry = notes.find(note =>
+          note.content?.trim().startsWith("Resolution Note:")
+        );
+
+        if (resolutionEntry) {
+          // Clean it up to remove the prefix
+          resolutionNote = resolutionEntry.content
+            .replace(/^Resolution Note:\s*/i, "")
+            .trim();
+          alreadyMirrored = isPdNoteSynced(resolutionEntry.id);
+          log(`Found Resolution Note in PagerDuty: ${resolutionNote}`);
+        } else {
+          // If no "Resolution Note:" found, use the latest note as fallback
+          const latestNote = notes[notes.length - 1].content?.trim();
+          resolutionNote = latestNote || resolutionNote;
+          log("No 'Resolution Note:' found — using latest note instead.");
+        }
+      } else {
+        log("No notes found for PagerDuty incident — using fallback text.");
+      }
+    } catch (err) {
+      log(`Error fetching PagerDuty notes: ${err.message}`);
+    }
+
+    // Save only one resolution note to ConnectWise
+    if (alreadyMirrored) {
+      log(`Resolution note already mirrored to ConnectWise Ticket #${ticketId}`);
+    } else {
+      await addTicketNote(ticketId, withOriginMarker(resolutionNote, "pagerduty"), "Resolution");
+      log(`Added resolution note to ConnectWise Ticket #${ticketId}: ${resolutionNote}`);
+    }
+    if (body.event.id) updateSyncState(ticketId, { resolutionNoteFor: body.event.id });
+  }
+
+  // --- Log the responders' time on the ticket (boards with "timeEntries") ---
+  const board = eventType === "incident.resolved" ? findBoardByService(service.id, service.name) : null;
+  if (board) await logResponseTime(ticketId, incident.id, board.name);
+
+  const timelineNote = await addTimelineNote(ticketId, body.event, data, incident);
+
+  // --- Remember the last known status on both sides (shown on the dashboard) ---
+  updateSyncState(ticketId, {
+    pdStatus: incident.status || getSyncState(ticketId).pdStatus,
+    ...(statusUpdate && { cwStatus: statusUpdate }),
+  });
+
+  const changed = updates.length > 0 || Boolean(timelineNote) || merge?.known === false;
+  return {
+    outcome: changed ? "updated" : "skipped",
+    ...(!changed && { reason: "nothing_to_update" }),
+    message: "PagerDuty v3 webhook processed successfully",
+    ticketId,
+    incidentId: incident.id,
+  };
+};
@@ -0,0 +1,288 @@
+// src/jobs/reconciler.js
+const crypto = require("crypto");
+const { log, error } = require("../utils/logger");
+const { runWithContext } = require("../utils/context");
+const { SHADOW_MODE } = require("../utils/shadow");
+const {
+  listTickets,
+  getTicket,
+  getTicketDescription,
+  updateTicket,
+} = require("../services/connectwiseService");
+const {
+  listIncidents,
+  getIncident,
+  createIncident,
+  updateIncident,
+  updateIncidentDetails,
+  planIncident,
+  incidentTitle,
+} = require("../services/pagerdutyService");
+const {
+  getMapping,
+  getBoardNames,
+  isBoardAllowed,
+  isTriggerStatus,
+  isResolveStatus,
+  findPriorityByPdId,
+  findPriorityByCwName,
+  getCwStatusForPdEvent,
+  getTicketSyncConfig,
+} = require("../config/mapping");
+const {
+  recordLink,
+  getCurrentIncidentId,
+  findTicketIdForIncident,
+  getSyncState,
+  updateSyncState,
+} = require("../store/linkStore");
+const { currentTenantName, listTenants, runForTenant } = require("../config/tenants");
+
+const INTERVAL_MINUTES = Number(process.env.RECONCILE_INTERVAL_MINUTES) || 0;
+const SCHEDULED_MODE = process.env.RECONCILE_MODE === "fix" ? "fix" : "report";
+
+let timer = null;
+const running = new Set(); // tenants with a run in progress
+const lastReports = new Map(); // tenant → report
+
+const isTicketClosed = (ticket) => ticket.closedFlag === true || isResolveStatus(ticket.status?.name);
+
+// Would a new incident be created for the ticket? Not if routing rules, keywords or priority
+// skip it. A plan that fails (e.g. unmapped board) still counts: fixing it shows the error.
+async function wouldPage(ticket) {
+  const plan = await planIncident(ticket).catch(() => null);
+  return !plan?.skip;
+}
+
+// --- Where the ticket's and the incident's priorities differ, which way to sync ---
+// The same way as the webhooks: with ticketSync.priority the CW priority is pushed to PD
+// (a priority that isn't paged only with ticketSync.unpagedPriority "lower"), otherwise PD's
+// priority is written to the ticket. null when they agree or there's nothing to sync.
+function findPriorityDrift(ticket, incident) {
+  const config = getTicketSyncConfig();
+  const pdPriority = incident.priority?.id ? findPriorityByPdId(incident.priority.id) : null;
+  const cwPriorityName = ticket.priority?.name || "";
+
+  if (config.priority) {
+    const cwPriority = findPriorityByCwName(cwPriorityName);
+    if (!cwPriority?.pdPriorityId || incident.status === "resolved") return null;
+    if (!cwPriority.page && config.unpagedPriority !== "lower") return null;
+    if (cwPriority.pdPriorityId === incident.priority?.id) return null;
+    return {
+      type: "priority_mismatch",
+      detail: `CW priority "${cwPriorityName}" but PD priority ${pdPriority?.code || incident.priority?.summary || "none"}`,
+      pdPriority: cwPriority,
+    };
+  }
+
+  if (!pdPriority || pdPriority.cwNames.some((n) => n.toLowerCase() === cwPriorityName.toLowerCase())) return null;
+  return {
+    type: "priority_mismatch",
+    detail: `PD priority ${pdPriority.code} but CW priority "${cwPriorityName}"`,
+    cwPriority: pdPriority.cwPriority,
+  };
+}
+
+// --- Compare one ticket with its incident and decide what (if anything) is out of sync ---
+// Same rules as the webhooks: CW resolve statuses resolve the incident, CW trigger statuses
+// need an open incident (a new one if the ticket's incident was resolved, e.g. a re-opened
+// ticket), a resolved incident moves any other open ticket to the mapped CW status, and the
+// priorities follow ticketSync.priority. An incident resolved because the ticket dropped to a
+// priority that isn't paged (ticketSync.unpagedPriority "resolve") leaves the ticket open; it's
+// paged again once its priority is.
+async function findDrift(ticket, incident) {
+  const status = (ticket.status?.name || "").trim();
+  const drift = [];
+
+  if (!incident) {
+    if (isTriggerStatus(status) && (await wouldPage(ticket))) {
+      drift.push({ type: "ticket_open_no_incident", detail: `CW status "${status}" but no PD incident` });
+    }
+    return drift;
+  }
+
+  const unpaged = getSyncState(ticket.id).unpagedIncidentId === incident.id;
+  if (isTicketClosed(ticket) && incident.status !== "resolved") {
+    drift.push({
+      type: "ticket_closed_incident_open",
+      detail: `CW status "${status}" but PD incident is ${incident.status}`,
+    });
+  } else if (!isTicketClosed(ticket) && incident.status === "resolved") {
+    const repage = isTriggerStatus(status) || (unpaged && Boolean(findPriorityByCwName(ticket.priority?.name)?.page));
+    if (repage) {
+      if (await wouldPage(ticket)) {
+        drift.push({
+          type: "ticket_reopened_incident_resolved",
+          detail: `CW status "${status}" but PD incident ${incident.id} is resolved`,
+        });
+      }
+    } else if (!unpaged) {
+      drift.push({
+        type: "incident_resolved_ticket_open",
+        detail: `PD incident resolved but CW status is "${status}"`,
+      });
+    }
+  }
+
+  const priorityDrift = unpaged ? null : findPriorityDrift(ticket, incident);
+  if (priorityDrift) drift.push(priorityDrift);
+  return drift;
+}
+
+// --- Apply the fix for one drift entry ---
+async function fixDrift(item, ticket, incident) {
+  switch (item.type) {
+    // A resolved incident can't be reopened: like the webhook, page the ticket with a new one
+    case "ticket_reopened_incident_resolved":
+    case "ticket_open_no_incident": {
+      const description = await getTicketDescription(ticket.id);
+      if (description) ticket.description = description;
+      const created = await createIncident(ticket);
+      if (!created) throw new Error("Incident creation was skipped (routing rules, keywords or priority)");
+      return `created incident ${created.id}`;
+    }
+    case "ticket_closed_incident_open":
+      await updateIncident(incident.id, "resolved", ticket);
+      return `resolved incident ${incident.id}`;
+    case "incident_resolved_ticket_open": {
+      const statusName = getCwStatusForPdEvent("incident.resolved");
+      if (!statusName) return "no CW status mapped for incident.resolved";
+      await updateTicket(ticket.id, [{ op: "replace", path: "status", value: { name: statusName } }]);
+      return `set CW status to "${statusName}"`;
+    }
+    case "priority_mismatch": {
+      if (item.pdPriority) {
+        const { pdPriorityId, urgency, code } = item.pdPriority;
+        const title = getTicketSyncConfig().title ? incidentTitle(ticket, code) : undefined;
+        await updateIncidentDetails(incident.id, { priorityId: pdPriorityId, urgency, title });
+        updateSyncState(ticket.id, { priority: ticket.priority?.name || null });
+        return `set PD priority to ${code}`;
+      }
+      await updateTicket(ticket.id, [
+        { op: "replace", path: "priority", value: { id: item.cwPriority.id, name: item.cwPriority.name } },
+      ]);
+      // So the ticket's callback for this isn't taken for a CW-side priority change
+      updateSyncState(ticket.id, { priority: item.cwPriority.name });
+      return `set CW priority to "${item.cwPriority.name}"`;
+    }
+    default:
+      return "no fix available";
+  }
+}
+
+// --- Run one reconciliation pass ---
+// mode "report" only lists differences; "fix" repairs them.
+// since/until switch to backfill: every ticket and incident from that range, not just open ones.
+// Each run logs under its own correlation ID. In shadow mode fixes are simulated and nothing is stored.
+// Runs for the current tenant.
+exports.runReconciliation = (options) => {
+  const tenant = currentTenantName();
+  const context = { tenant, correlationId: `reconcile-${crypto.randomUUID()}`, dryRun: SHADOW_MODE, apiCalls: [] };
+  return runWithContext(context, () => reconcile(tenant, options));
+};
+
+async function reconcile(tenant, { mode = "report", since, until } = {}) {
+  if (running.has(tenant)) throw new Error("A reconciliation run is already in progress");
+  running.add(tenant);
+
+  const report = {
+    mode,
+    since: since || null,
+    until: until || null,
+    startedAt: new Date().toISOString(),
+    ticketsChecked: 0,
+    incidentsChecked: 0,
+    drift: [],
+  };
+
+  try {
+    const serviceIds = Object.values(getMapping().boards)
+      .map((b) => b.service)
+      .filter(Boolean);
+
+    const tickets = await listTickets(getBoardNames(), { since, until });
+    const incidents = await listIncidents(serviceIds, { since, until });
+    report.ticketsChecked = tickets.length;
+    report.incidentsChecked = incidents.length;
+
+    const incidentsById = new Map(incidents.map((i) => [i.id, i]));
+    const incidentsByKey = new Map(incidents.map((i) => [i.incident_key, i]));
+    const pairs = new Map(); // ticketId → { ticket, incident }
+
+    // --- Ticket side ---
+    for (const ticket of tickets) {
+      const linkedId = getCurrentIncidentId(ticket.id);
+      let incident =
+        (linkedId && incidentsById.get(linkedId)) || incidentsByKey.get(`CW-${ticket.id}`) || null;
+      if (!incident && linkedId) incident = await getIncident(linkedId);
+
+      pairs.set(String(ticket.id), { ticket, incident });
+    }
+
+    // --- Incident side: open incidents whose ticket wasn't in the list (e.g. closed in CW) ---
+    for (const incident of incidents) {
+      const ticketId = findTicketIdForIncident(incident);
+      if (!ticketId || pairs.has(String(ticketId))) continue;
+
+      const ticket = await getTicket(ticketId);
+      if (!ticket || !isBoardAllowed(ticket.board?.name)) continue;
+      pairs.set(String(ticketId), { ticket, incident });
+    }
+
+    for (const { ticket, incident } of pairs.values()) {
+      if (incident && getCurrentIncidentId(ticket.id) !== incident.id && mode === "fix") {
+        recordLink(ticket.id, incident.id, { reason: "adopted", board: ticket.board?.name });
+      }
+
+      for (const item of await findDrift(ticket, incident)) {
+        const entry = {
+          type: item.type,
+          ticketId: ticket.id,
+          incidentId: incident?.id || null,
+          board: ticket.board?.name,
+          detail: item.detail,
+        };
+
+        if (mode === "fix") {
+          try {
+            entry.action = await fixDrift(item, ticket, incident);
+            entry.fixed = true;
+          } catch (err) {
+            entry.fixed = false;
+            entry.error = err.response?.data ? JSON.stringify(err.response.data) : err.message;
+            error(`Failed to fix ${item.type} for Ticket #${ticket.id}`, entry.error);
+          }
+        }
+
+        report.drift.push(entry);
+      }
+    }
+
+    report.finishedAt = new Date().toISOString();
+    log(
+      `🧮 Reconciliation (${mode}) checked ${report.ticketsChecked} tickets / ${report.incidentsChecked} incidents, found ${report.drift.length} difference(s)`
+    );
+    lastReports.set(tenant, report);
+    return report;
+  } finally {
+    running.delete(tenant);
+  }
+}
+
+exports.getLastReport = () => lastReports.get(currentTenantName()) || null;
+
+// --- Periodic run, enabled by RECONCILE_INTERVAL_MINUTES (mode from RECONCILE_MODE) ---
+exports.startReconciler = () => {
+  if (!INTERVAL_MINUTES || timer) return;
+
+  timer = setInterval(async () => {
+    for (const { name } of listTenants()) {
+      await runForTenant(name, () => exports.runReconciliation({ mode: SCHEDULED_MODE })).catch((err) =>
+        error(`Scheduled reconciliation failed for tenant ${name}`, err.response?.data || err.message)
+      );
+    }
+  }, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+
+  log(`🧮 Reconciler scheduled every ${INTERVAL_MINUTES} min (${SCHEDULED_MODE} mode)`);
+};
@@ -0,0 +1,191 @@
+// src/jobs/slaWatcher.js
+// Escalation by the CW ticket's SLA targets (respond-by, resolve-by …), not just its priority.
+// Opt-in per mapping file ("sla" section; the default mapping ships it with "enabled": false).
+// For every open ticket with a linked incident:
+//  - escalateBeforeMinutes before a target is due, the incident's urgency/priority is raised
+//    and the configured responders are requested
+//  - once the target is missed, a note goes on the incident and an internal note on the ticket
+// Each step happens once per incident and target; targets already met are left alone.
+const crypto = require("crypto");
+const { log, error } = require("../utils/logger");
+const { runWithContext } = require("../utils/context");
+const { SHADOW_MODE, isSimulated } = require("../utils/shadow");
+const { listTickets, addTicketNote } = require("../services/connectwiseService");
+const {
+  getIncident,
+  updateIncidentDetails,
+  addResponders,
+  addIncidentNote,
+} = require("../services/pagerdutyService");
+const { getMapping, getBoardNames, getSlaConfig, findPriorityByPdId } = require("../config/mapping");
+const { getCurrentIncidentId } = require("../store/linkStore");
+const { getSlaState, updateSlaState, pruneSlaState } = require("../store/slaStore");
+const { recordNoteSync } = require("../store/noteSyncStore");
+const { currentTenant, currentTenantName, listTenants, runForTenant } = require("../config/tenants");
+const metrics = require("../utils/metrics");
+
+const INTERVAL_MINUTES = Number(process.env.SLA_CHECK_INTERVAL_MINUTES) || 5;
+
+let timer = null;
+const running = new Set(); // tenants with a check in progress
+
+// --- Where a ticket stands against one target: null (met, no due date, not due yet), "due_soon" or "breached" ---
+function slaStage(ticket, { dueField, metField }, escalateBeforeMinutes, now) {
+  if (metField && ticket[metField]) return null;
+  const dueAt = Date.parse(ticket[dueField] || "");
+  if (isNaN(dueAt)) return null;
+  if (now >= dueAt) return "breached";
+  if (now >= dueAt - escalateBeforeMinutes * 60 * 1000) return "due_soon";
+  return null;
+}
+
+// --- Raise urgency / priority (never lower them) and request responders ---
+// Returns what was changed, e.g. ["urgency high", "priority P1"].
+async function escalate(incident, escalation, message) {
+  const changes = [];
+  const priorities = getMapping().priorities; // highest first
+  const wanted = escalation.priority ? priorities.find((p) => p.code === escalation.priority) : null;
+  const current = incident.priority?.id ? findPriorityByPdId(incident.priority.id) : null;
+  const raisePriority = wanted && (!current || priorities.indexOf(wanted) < priorities.indexOf(current));
+  const raiseUrgency = escalation.urgency === "high" && incident.urgency !== "high";
+
+  if (raisePriority || raiseUrgency) {
+    await updateIncidentDetails(incident.id, {
+      urgency: raiseUrgency ? "high" : undefined,
+      priorityId: raisePriority ? wanted.pdPriorityId : undefined,
+    });
+    if (raiseUrgency) changes.push("urgency high");
+    if (raisePriority) changes.push(`priority ${wanted.code}`);
+  }
+
+  if (escalation.responders.length > 0) {
+    await addResponders(incident.id, escalation.responders, message);
+    changes.push(`responders ${escalation.responders.map((r) => r.id).join(", ")}`);
+  }
+  return changes;
+}
+
+// --- Act on one ticket / target; returns a report entry, or null if there was nothing to do ---
+async function checkTarget(ticket, incidentId, name, target, sla, now) {
+  const stage = slaStage(ticket, target, sla.escalateBeforeMinutes, now);
+  if (!stage) return null;
+
+  const state = getSlaState(incidentId, name) || {};
+  const needsEscalation = !state.escalatedAt;
+  const needsBreachNotes = stage === "breached" && !state.breachedAt;
+  if (!needsEscalation && !needsBreachNotes) return null;
+
+  const incident = await getIncident(incidentId);
+  if (!incident || incident.status === "resolved") return null;
+
+  const dueAt = new Date(Date.parse(ticket[target.dueField])).toISOString();
+  const entry = { ticketId: ticket.id, incidentId, target: name, stage, dueAt, actions: [] };
+
+  // A failed escalation is retried on the next check; it doesn't hold up the breach notes
+  if (needsEscalation) {
+    try {
+      const reason = `SLA ${name} target for Ticket #${ticket.id} is due at ${dueAt}`;
+      const changes = await escalate(incident, sla.escalation, reason);
+      if (changes.length > 0) {
+        // Recorded as synced so the PD webhook for it isn't mirrored to the ticket
+        const pdNote = await addIncidentNote(incidentId, `⏰ ${reason} — escalated: ${changes.join(", ")}`);
+        recordNoteSync({ pdNoteId: pdNote?.id, ticketId: ticket.id, incidentId, origin: "sla" });
+        entry.actions.push(`escalated: ${changes.join(", ")}`);
+        log(`⏰ Escalated incident ${incidentId} ahead of the ${name} SLA of Ticket #${ticket.id} (${changes.join(", ")})`);
+      }
+      updateSlaState(ticket.id, incidentId, name, { dueAt, escalatedAt: new Date().toISOString() });
+      if (!isSimulated()) metrics.slaActions.inc({ target: name, stage: "due_soon" });
+    } catch (err) {
+      entry.error = err.response?.data ? JSON.stringify(err.response.data) : err.message;
+      error(`SLA escalation failed for Ticket #${ticket.id} (${name})`, entry.error);
+    }
+  }
+
+  // Each side's note is saved as soon as it's posted: if the other fails, the next check only adds that one
+  if (needsBreachNotes) {
+    const text = `🚨 SLA breached: the ${name} target for Ticket #${ticket.id} was due at ${dueAt}`;
+    if (!state.cwBreachNotedAt) {
+      const cwNote = await addTicketNote(ticket.id, text, "Internal");
+      recordNoteSync({ cwNoteId: cwNote?.id, ticketId: ticket.id, incidentId, origin: "sla" });
+      updateSlaState(ticket.id, incidentId, name, { dueAt, cwBreachNotedAt: new Date().toISOString() });
+    }
+    if (!state.pdBreachNotedAt) {
+      const pdNote = await addIncidentNote(incidentId, text);
+      recordNoteSync({ pdNoteId: pdNote?.id, ticketId: ticket.id, incidentId, origin: "sla" });
+      updateSlaState(ticket.id, incidentId, name, { dueAt, pdBreachNotedAt: new Date().toISOString() });
+    }
+    updateSlaState(ticket.id, incidentId, name, { dueAt, breachedAt: new Date().toISOString() });
+    if (!isSimulated()) metrics.slaActions.inc({ target: name, stage: "breached" });
+    entry.actions.push("breach noted");
+    log(`🚨 ${name} SLA breached on Ticket #${ticket.id} (incident ${incidentId})`);
+  }
+
+  return entry;
+}
+
+// --- Run one SLA check for the current tenant ---
+// Logs under its own correlation ID. In shadow mode changes are simulated and nothing is stored.
+exports.runSlaCheck = () => {
+  const tenant = currentTenantName();
+  const context = { tenant, correlationId: `sla-${crypto.randomUUID()}`, dryRun: SHADOW_MODE, apiCalls: [] };
+  return runWithContext(context, () => check(tenant));
+};
+
+async function check(tenant) {
+  const sla = getSlaConfig();
+  const report = { startedAt: new Date().toISOString(), ticketsChecked: 0, escalations: [] };
+  if (!sla) return { ...report, skipped: "The mapping has no \"sla\" section" };
+  if (!currentTenant().pagerduty.apiKey) return { ...report, skipped: "No PagerDuty REST API key" };
+
+  if (running.has(tenant)) throw new Error("An SLA check is already in progress");
+  running.add(tenant);
+
+  try {
+    const tickets = await listTickets(getBoardNames());
+    report.ticketsChecked = tickets.length;
+    const now = Date.now();
+
+    for (const ticket of tickets) {
+      const incidentId = getCurrentIncidentId(ticket.id);
+      if (!incidentId) continue;
+
+      for (const [name, target] of Object.entries(sla.targets)) {
+        try {
+          const entry = await checkTarget(ticket, incidentId, name, target, sla, now);
+          if (entry) report.escalations.push(entry);
+        } catch (err) {
+          const message = err.response?.data ? JSON.stringify(err.response.data) : err.message;
+          error(`SLA escalation failed for Ticket #${ticket.id} (${name})`, message);
+          report.escalations.push({ ticketId: ticket.id, incidentId, target: name, error: message });
+        }
+      }
+    }
+
+    pruneSlaState(tickets.map((t) => t.id));
+    report.finishedAt = new Date().toISOString();
+    if (report.escalations.length > 0) {
+      log(`⏰ SLA check: ${report.escalations.length} escalation(s) on ${report.ticketsChecked} open ticket(s)`);
+    }
+    return report;
+  } finally {
+    running.delete(tenant);
+  }
+}
+
+// --- Periodic check (SLA_CHECK_INTERVAL_MINUTES, default 5) for tenants whose mapping has "sla" ---
+exports.startSlaWatcher = () => {
+  if (timer) return;
+  const watched = () => listTenants().filter(({ name }) => runForTenant(name, getSlaConfig));
+  if (watched().length === 0) return;
+
+  timer = setInterval(async () => {
+    for (const { name } of watched()) {
+      await runForTenant(name, exports.runSlaCheck).catch((err) =>
+        error(`SLA check failed for tenant ${name}`, err.response?.data || err.message)
+      );
+    }
+  }, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+
+  log(`⏰ SLA watcher checking every ${INTERVAL_MINUTES} min`);
+};
@@ -0,0 +1,77 @@
+// src/middleware/connectwiseAuth.js
+const crypto = require("crypto");
+const { log } = require("../utils/logger");
+const { recordEvent } = require("../store/eventHistory");
+const { currentTenant } = require("../config/tenants");
+
+// --- Parse CW_WEBHOOK_ALLOWED_IPS: "203.0.113.7, 198.51.100.0/24" ---
+function parseAllowList(value) {
+  return (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+const normalizeIp = (ip) => (ip || "").replace(/^::ffff:/, "");
+
+function ipv4ToInt(ip) {
+  const parts = ip.split(".").map(Number);
+  if (parts.length !== 4 || parts.some((p) => !Number.isInteger(p) || p < 0 || p > 255)) return null;
+  return parts.reduce((acc, p) => (acc << 8) + p, 0) >>> 0;
+}
+
+function ipAllowed(ip, allowList) {
+  const addr = normalizeIp(ip);
+  return allowList.some((entry) => {
+    if (!entry.includes("/")) return normalizeIp(entry) === addr;
+
+    const [range, bits] = entry.split("/");
+    const addrInt = ipv4ToInt(addr);
+    const rangeInt = ipv4ToInt(range);
+    if (addrInt === null || rangeInt === null) return false;
+
+    const mask = Number(bits) === 0 ? 0 : (~0 << (32 - Number(bits))) >>> 0;
+    return (addrInt & mask) === (rangeInt & mask);
+  });
+}
+
+function tokenMatches(provided, expected) {
+  if (!provided) return false;
+  const a = Buffer.from(String(provided));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// --- Authenticate ConnectWise callbacks, with the tenant's settings ---
+// CW_WEBHOOK_TOKEN:       shared secret, sent as ?token=… in the callback URL or an X-CW-Webhook-Token header
+// CW_WEBHOOK_ALLOWED_IPS: optional source IP / IPv4 CIDR allowlist
+// (connectwise.webhookToken / webhookAllowedIps in a tenants file)
+module.exports = (req, res, next) => {
+  const { webhookToken: token, webhookAllowedIps } = currentTenant().connectwise;
+  const allowList = parseAllowList(webhookAllowedIps);
+
+  const reject = (status, reason) => {
+    log(`🚫 Rejected CW webhook from ${normalizeIp(req.ip)}: ${reason}`);
+    recordEvent({
+      id: crypto.randomUUID(),
+      source: "connectwise",
+      payload: req.body,
+      outcome: "skipped",
+      reason: "unauthorized",
+      message: `${reason} (from ${normalizeIp(req.ip)})`,
+    });
+    return res.status(status).json({ message: "Unauthorized" });
+  };
+
+  if (allowList.length > 0 && !ipAllowed(req.ip, allowList)) {
+    return reject(403, "source IP not in the allowlist");
+  }
+
+  if (token) {
+    const provided = req.query.token || req.get("X-CW-Webhook-Token");
+    if (!provided) return reject(401, "missing webhook token");
+    if (!tokenMatches(provided, token)) return reject(401, "invalid webhook token");
+  }
+
+  next();
+};
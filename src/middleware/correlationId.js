@@ -0,0 +1,18 @@
+// src/middleware/correlationId.js
+const crypto = require("crypto");
+const { runWithContext } = require("../utils/context");
+
+// Caller-supplied IDs are kept only if they look like IDs
+const VALID_ID = /^[\w.:-]{1,128}$/;
+
+// --- Correlation ID per inbound request ---
+// Taken from X-Correlation-ID (or X-Request-ID) when present, otherwise generated; echoed back
+// and kept in the request context, so the queued event and every CW/PD call it makes share it.
+module.exports = function correlationId(req, res, next) {
+  const supplied = req.get("x-correlation-id") || req.get("x-request-id");
+  const id = supplied && VALID_ID.test(supplied) ? supplied : crypto.randomUUID();
+
+  req.correlationId = id;
+  res.set("X-Correlation-ID", id);
+  runWithContext({ correlationId: id }, next);
+};
@@ -0,0 +1,23 @@
+// src/middleware/requestLogger.js
+const { log, debug } = require("../utils/logger");
+
+// --- One log line per HTTP request, once the response is sent ---
+// The path is logged without its query string: CW callback URLs carry ?token=…
+module.exports = function requestLogger(req, res, next) {
+  const startedAt = Date.now();
+
+  res.on("finish", () => {
+    const fields = {
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+      ip: req.ip,
+    };
+    // Dashboard auto-refreshes and health checks would drown out the webhooks
+    const write = req.method === "GET" && res.statusCode < 400 ? debug : log;
+    write(`HTTP ${fields.method} ${fields.path} ${fields.status}`, fields);
+  });
+
+  next();
+};
@@ -0,0 +1,27 @@
+// src/middleware/requireAdmin.js
+const crypto = require("crypto");
+const { log } = require("../utils/logger");
+const { currentTenant } = require("../config/tenants");
+
+// --- Protect admin endpoints with a bearer token ---
+// The tenant's own token: ADMIN_TOKEN for the default tenant, adminToken in the tenants file
+// for the others (a tenant without one has no admin API)
+module.exports = (req, res, next) => {
+  const tenant = currentTenant();
+  const token = tenant.adminToken;
+  if (!token) {
+    const setting = tenant.fromEnv ? "ADMIN_TOKEN" : `adminToken for tenant "${tenant.name}"`;
+    return res.status(503).json({ message: `Admin API disabled (${setting} not set)` });
+  }
+
+  const provided = (req.get("Authorization") || "").replace(/^Bearer\s+/i, "");
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(provided);
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    log(`🚫 Rejected admin request ${req.method} ${req.originalUrl} from ${req.ip}`);
+    return res.status(401).json({ message: "Unauthorized" });
+  }
+
+  next();
+};
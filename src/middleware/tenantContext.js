@@ -0,0 +1,16 @@
+// src/middleware/tenantContext.js
+const { addToContext } = require("../utils/context");
+const { getTenant, DEFAULT_TENANT } = require("../config/tenants");
+
+// --- Which tenant a request is for: /t/<tenant>/… or, on the plain routes, "default" ---
+// Everything the request leads to (queued event, stores, CW/PD credentials, logs, metrics)
+// then belongs to that tenant.
+module.exports = function tenantContext(req, res, next) {
+  const name = req.params.tenant || DEFAULT_TENANT;
+  const tenant = getTenant(name);
+  if (!tenant) return res.status(404).json({ message: `Unknown tenant: ${name}` });
+
+  req.tenant = tenant;
+  addToContext({ tenant: tenant.name });
+  next();
+};
@@ -0,0 +1,216 @@
+// src/queue/webhookQueue.js
+const crypto = require("crypto");
+const { log, error } = require("../utils/logger");
+const { createJsonStore } = require("../store/jsonStore");
+const { recordEvent } = require("../store/eventHistory");
+const { runWithContext, getContext } = require("../utils/context");
+const { SHADOW_MODE } = require("../utils/shadow");
+const { claimEvent } = require("../store/idempotencyStore");
+const { listTenants, runForTenant } = require("../config/tenants");
+
+const MAX_ATTEMPTS = Number(process.env.QUEUE_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MS = Number(process.env.QUEUE_RETRY_BASE_MS) || 5000;
+const RETRY_MAX_MS = Number(process.env.QUEUE_RETRY_MAX_MS) || 15 * 60 * 1000;
+const POLL_MS = Number(process.env.QUEUE_POLL_MS) || 1000;
+
+// jobs:       events waiting to be processed (or retried), oldest first
+// deadLetter: events that ran out of retries
+const store = createJsonStore("queue.json", { jobs: [], deadLetter: [] }, { keepInDryRun: true });
+const handlers = {};
+
+let timer = null;
+let running = false;
+
+// Register the function that processes events from a source ("connectwise" / "pagerduty"),
+// and the one that describes an event (ticket, incident, board, …) for the event history
+exports.registerHandler = (source, handler, describe = () => ({})) => {
+  handlers[source] = { handle: handler, describe };
+};
+
+function describeJob(job) {
+  try {
+    return handlers[job.source]?.describe(job.payload) || {};
+  } catch {
+    return {};
+  }
+}
+
+// Persist an incoming webhook and wake the worker
+exports.enqueue = (source, payload) => {
+  const job = {
+    id: crypto.randomUUID(),
+    source,
+    payload,
+    attempts: 0,
+    enqueuedAt: new Date().toISOString(),
+    nextAttemptAt: Date.now(),
+    lastError: null,
+    correlationId: getContext()?.correlationId || crypto.randomUUID(),
+  };
+  store.update((data) => data.jobs.push(job));
+  recordEvent({ id: job.id, source, ...describeJob(job), correlationId: job.correlationId, payload, outcome: "queued" });
+  log(`📥 Queued ${source} webhook ${job.id}`);
+
+  setImmediate(processDueJobs);
+  return job;
+};
+
+// Exponential backoff: base, 2×base, 4×base … capped
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+async function processJob(job) {
+  const handler = handlers[job.source];
+  if (!handler) throw new Error(`No handler registered for source "${job.source}"`);
+  return handler.handle(job.payload);
+}
+
+// --- Handle one job; runs in the job's context (correlation ID, API call log) ---
+async function runJob(job, details, context) {
+  try {
+    // Another delivery of the same event (CW/PD retries, or another replica) was already taken
+    if (details.eventId && !(await claimEvent(details.eventId, job.id))) {
+      store.update((data) => {
+        data.jobs = data.jobs.filter((j) => j.id !== job.id);
+      });
+      recordEvent({
+        ...details,
+        outcome: "skipped",
+        reason: "duplicate_event",
+        message: `Event ${details.eventId} was already handled`,
+        attempts: job.attempts + 1,
+      });
+      log(`⏩ Skipped ${job.source} webhook ${job.id}: duplicate of event ${details.eventId}`);
+      return;
+    }
+
+    const result = await processJob(job);
+    store.update((data) => {
+      data.jobs = data.jobs.filter((j) => j.id !== job.id);
+    });
+    recordEvent({
+      ...details,
+      ticketId: result?.ticketId || details.ticketId || null,
+      incidentId: result?.incidentId || details.incidentId || null,
+      outcome: result?.outcome || "updated",
+      reason: result?.reason || null,
+      message: result?.message || null,
+      attempts: job.attempts + 1,
+      apiCalls: context.apiCalls,
+    });
+    log(`✅ Processed ${job.source} webhook ${job.id}: ${result?.message || "done"}`);
+  } catch (err) {
+    const attempts = job.attempts + 1;
+    const lastError = err.response?.data ? JSON.stringify(err.response.data) : err.message;
+
+    if (attempts >= MAX_ATTEMPTS) {
+      store.update((data) => {
+        data.jobs = data.jobs.filter((j) => j.id !== job.id);
+        data.deadLetter.push({ ...job, attempts, lastError, failedAt: new Date().toISOString() });
+      });
+      recordEvent({ ...details, outcome: "failed", reason: lastError, attempts, apiCalls: context.apiCalls });
+      error(`☠️ ${job.source} webhook ${job.id} moved to dead-letter after ${attempts} attempts`, lastError);
+    } else {
+      const delay = retryDelay(attempts);
+      store.update((data) => {
+        const queued = data.jobs.find((j) => j.id === job.id);
+        Object.assign(queued, { attempts, lastError, nextAttemptAt: Date.now() + delay });
+      });
+      recordEvent({ ...details, outcome: "retrying", reason: lastError, attempts, apiCalls: context.apiCalls });
+      error(`🔁 ${job.source} webhook ${job.id} failed (attempt ${attempts}/${MAX_ATTEMPTS}), retrying in ${delay}ms`, lastError);
+    }
+  }
+}
+
+// --- Process every job that is due, one at a time and in arrival order ---
+// Each tenant has its own queue; they're worked through in turn.
+async function processDueJobs() {
+  if (running) return;
+  running = true;
+
+  try {
+    for (const { name } of listTenants()) {
+      await runForTenant(name, () => processTenantJobs(name));
+    }
+  } finally {
+    running = false;
+  }
+}
+
+async function processTenantJobs(tenant) {
+  let job;
+  while ((job = store.read().jobs.find((j) => j.nextAttemptAt <= Date.now()))) {
+    const details = { id: job.id, source: job.source, ...describeJob(job) };
+    // Shadow mode: the handler's link/note store changes are thrown away like its writes
+    const context = {
+      tenant,
+      correlationId: job.correlationId || job.id,
+      eventId: job.id,
+      source: job.source,
+      ticketId: details.ticketId || null,
+      incidentId: details.incidentId || null,
+      board: details.board || null,
+      service: details.service || null,
+      apiCalls: [],
+      dryRun: SHADOW_MODE,
+    };
+    await runWithContext(context, () => runJob(job, details, context));
+  }
+}
+
+exports.startWorker = () => {
+  if (timer) return;
+  timer = setInterval(processDueJobs, POLL_MS);
+  timer.unref();
+  setImmediate(processDueJobs);
+};
+
+exports.stopWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+exports.getQueueStats = () => {
+  const { jobs, deadLetter } = store.read();
+  return { pending: jobs.length, deadLetter: deadLetter.length, maxAttempts: MAX_ATTEMPTS };
+};
+
+exports.listJobs = () => store.read().jobs;
+
+exports.listDeadLetters = () => store.read().deadLetter;
+
+// Move a dead-lettered event back onto the queue with a fresh retry budget
+exports.requeueDeadLetter = (id) => {
+  const job = store.update((data) => {
+    const entry = data.deadLetter.find((j) => j.id === id);
+    if (!entry) return null;
+
+    data.deadLetter = data.deadLetter.filter((j) => j.id !== id);
+    const requeued = {
+      id: entry.id,
+      source: entry.source,
+      payload: entry.payload,
+      attempts: 0,
+      enqueuedAt: new Date().toISOString(),
+      nextAttemptAt: Date.now(),
+      lastError: entry.lastError,
+      correlationId: entry.correlationId,
+    };
+    data.jobs.push(requeued);
+    return requeued;
+  });
+
+  if (job) {
+    log(`♻️ Requeued dead-lettered ${job.source} webhook ${job.id}`);
+    setImmediate(processDueJobs);
+  }
+  return job;
+};
+
+exports.deleteDeadLetter = (id) =>
+  store.update((data) => {
+    const before = data.deadLetter.length;
+    data.deadLetter = data.deadLetter.filter((j) => j.id !== id);
+    return data.deadLetter.length < before;
+  });
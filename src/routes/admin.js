@@ -0,0 +1,176 @@
+// src/routes/admin.js
+const express = require("express");
+const router = express.Router();
+const requireAdmin = require("../middleware/requireAdmin");
+const {
+  getQueueStats,
+  listJobs,
+  listDeadLetters,
+  requeueDeadLetter,
+  deleteDeadLetter,
+} = require("../queue/webhookQueue");
+const { runReconciliation, getLastReport } = require("../jobs/reconciler");
+const { runSlaCheck } = require("../jobs/slaWatcher");
+const { queryEvents, getEvent } = require("../store/eventHistory");
+const { replayEvent, findStoredPayload } = require("../services/replayService");
+const { compareWithLive } = require("../services/shadowService");
+const { explainRules } = require("../services/routingRules");
+const { planIncident } = require("../services/pagerdutyService");
+const { getTicket } = require("../services/connectwiseService");
+const { isBoardAllowed } = require("../config/mapping");
+
+router.use(requireAdmin);
+
+// --- Webhook queue ---
+router.get("/queue", (req, res) => {
+  res.json({ ...getQueueStats(), jobs: listJobs() });
+});
+
+// --- Dead-letter list ---
+router.get("/dead-letter", (req, res) => {
+  res.json({ events: listDeadLetters() });
+});
+
+router.post("/dead-letter/:id/requeue", (req, res) => {
+  const job = requeueDeadLetter(req.params.id);
+  if (!job) return res.status(404).json({ message: "Dead-letter event not found" });
+  res.json({ message: "Event requeued", job });
+});
+
+router.post("/dead-letter/requeue-all", (req, res) => {
+  const requeued = listDeadLetters().map((job) => requeueDeadLetter(job.id));
+  res.json({ message: `Requeued ${requeued.length} event(s)` });
+});
+
+router.delete("/dead-letter/:id", (req, res) => {
+  if (!deleteDeadLetter(req.params.id)) {
+    return res.status(404).json({ message: "Dead-letter event not found" });
+  }
+  res.json({ message: "Event deleted" });
+});
+
+// --- Event history ---
+// Filters: source, ticketId, incidentId, eventId, eventType, outcome, from, to (ISO dates), limit
+router.get("/events", (req, res) => {
+  const { from, to } = req.query;
+  if ([from, to].some((d) => d && isNaN(Date.parse(d)))) {
+    return res.status(400).json({ message: "from/to must be valid dates" });
+  }
+  res.json({ events: queryEvents(req.query) });
+});
+
+// Full entry: redacted payload and the API calls processing made
+router.get("/events/:id", (req, res) => {
+  const event = getEvent(req.params.id);
+  if (!event) return res.status(404).json({ message: "Event not found" });
+  res.json(event);
+});
+
+// --- Replay ---
+// Body: { eventId } to replay a stored event, or { source, payload } for a captured one;
+// dryRun: true returns the decisions and API calls without writing to CW or PD.
+router.post("/replay", async (req, res) => {
+  const { eventId, dryRun = false } = req.body || {};
+  let { source, payload } = req.body || {};
+  let redacted = false;
+
+  if (eventId) {
+    const stored = findStoredPayload(eventId);
+    if (!stored) return res.status(404).json({ message: "No stored payload for that event" });
+    ({ source, payload, redacted } = stored);
+  }
+  if (!["connectwise", "pagerduty"].includes(source) || !payload || typeof payload !== "object") {
+    return res
+      .status(400)
+      .json({ message: `Pass eventId, or source ("connectwise" / "pagerduty") and a payload object` });
+  }
+
+  try {
+    const result = await replayEvent({ source, payload, dryRun: dryRun === true, replayOf: eventId || null });
+    res.json({ ...result, redactedPayload: redacted });
+  } catch (err) {
+    res.status(500).json({ message: "Replay failed", error: err.message });
+  }
+});
+
+// --- Shadow mode: compare this instance's decisions with the live instance's ---
+router.get("/shadow/compare", async (req, res) => {
+  const { from, to, limit } = req.query;
+  if ([from, to].some((d) => d && isNaN(Date.parse(d)))) {
+    return res.status(400).json({ message: "from/to must be valid dates" });
+  }
+
+  try {
+    res.json(await compareWithLive({ from, to, limit }));
+  } catch (err) {
+    res.status(500).json({ message: "Shadow comparison failed", error: err.response?.data || err.message });
+  }
+});
+
+// --- Reconciliation ---
+// Body: { "mode": "report" | "fix", "since": ISO date, "until": ISO date } — a range means backfill
+router.post("/reconcile", async (req, res) => {
+  const { mode = "report", since, until } = req.body || {};
+  if (!["report", "fix"].includes(mode)) {
+    return res.status(400).json({ message: `mode must be "report" or "fix"` });
+  }
+  if ([since, until].some((d) => d && isNaN(Date.parse(d)))) {
+    return res.status(400).json({ message: "since/until must be valid dates" });
+  }
+
+  try {
+    res.json(await runReconciliation({ mode, since, until }));
+  } catch (err) {
+    res.status(500).json({ message: "Reconciliation failed", error: err.message });
+  }
+});
+
+router.get("/reconcile/last", (req, res) => {
+  const report = getLastReport();
+  if (!report) return res.status(404).json({ message: "No reconciliation has run yet" });
+  res.json(report);
+});
+
+// --- SLA escalation: check open tickets against their SLA targets now ---
+router.post("/sla/check", async (req, res) => {
+  try {
+    res.json(await runSlaCheck());
+  } catch (err) {
+    res.status(500).json({ message: "SLA check failed", error: err.message });
+  }
+});
+
+// --- Routing rules: which rule a ticket matches, and what would be paged for it ---
+// Body: { ticketId } (read from CW) or { ticket } (a CW ticket object); "at" (ISO date, default
+// now) is the time business hours are checked against. Nothing is created in PD.
+router.post("/rules/test", async (req, res) => {
+  const { ticketId, at } = req.body || {};
+  let { ticket } = req.body || {};
+  if (!ticketId && (!ticket || typeof ticket !== "object")) {
+    return res.status(400).json({ message: "Pass ticketId, or a ticket object" });
+  }
+  if (at && isNaN(Date.parse(at))) {
+    return res.status(400).json({ message: "at must be a valid date" });
+  }
+
+  try {
+    if (!ticket) {
+      ticket = await getTicket(ticketId);
+      if (!ticket) return res.status(404).json({ message: "Ticket not found in ConnectWise" });
+    }
+    const now = at ? new Date(at) : new Date();
+    const { matched, rules } = await explainRules(ticket, { now });
+
+    let plan = { skip: "board_not_allowed", message: `Board "${ticket.board?.name}" is not mapped` };
+    if (isBoardAllowed(ticket.board?.name)) {
+      const { skip, message, serviceId, priorityCode, urgency, escalationPolicyId, title } = await planIncident(ticket, { now });
+      plan = skip ? { skip, message } : { serviceId, priority: priorityCode, urgency, escalationPolicyId, title };
+    }
+
+    res.json({ ticketId: ticket.id ?? null, at: now.toISOString(), matched, plan, rules });
+  } catch (err) {
+    res.status(500).json({ message: "Rule test failed", error: err.response?.data || err.message });
+  }
+});
+
+module.exports = router;
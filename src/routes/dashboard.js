@@ -0,0 +1,240 @@
+// src/routes/dashboard.js
+const express = require("express");
+const crypto = require("crypto");
+// Mounted per tenant (/ and /t/<tenant>/): links are relative to req.baseUrl
+const router = express.Router();
+const { log } = require("../utils/logger");
+const { listLinks } = require("../store/linkStore");
+const { latestEvents, failureCounts } = require("../store/eventHistory");
+const { getQueueStats } = require("../queue/webhookQueue");
+const { SHADOW_MODE } = require("../utils/shadow");
+const { currentTenant, currentTenantName, DEFAULT_TENANT } = require("../config/tenants");
+
+const COOKIE_NAME = "cwpd_session";
+const SESSION_HOURS = Number(process.env.DASHBOARD_SESSION_HOURS) || 12;
+
+// Sessions are signed, not stored: without a configured secret they end on restart
+const SESSION_SECRET = process.env.DASHBOARD_SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+
+const sign = (value) => crypto.createHmac("sha256", SESSION_SECRET).update(value).digest("hex");
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// --- Session cookie: "<user>.<expiresAt>.<signature>", one per tenant ---
+// The signature covers the tenant too, so a session for one tenant is no good on another's dashboard.
+const cookieName = () => {
+  const tenant = currentTenantName();
+  return tenant === DEFAULT_TENANT ? COOKIE_NAME : `${COOKIE_NAME}_${tenant}`;
+};
+const signSession = (user, expires) => sign(`${currentTenantName()}.${user}.${expires}`);
+
+function readSession(req) {
+  const name = cookieName();
+  const cookie = (req.headers.cookie || "")
+    .split(";")
+    .map((c) => c.trim())
+    .find((c) => c.startsWith(`${name}=`));
+  if (!cookie) return null;
+
+  // The username may contain dots; expiry and signature never do
+  const parts = decodeURIComponent(cookie.slice(name.length + 1)).split(".");
+  const [expires, signature] = parts.slice(-2);
+  const user = parts.slice(0, -2).join(".");
+  if (!user || !signature || Number(expires) < Date.now()) return null;
+  return safeEqual(signature, signSession(user, expires)) ? user : null;
+}
+
+function setSession(res, user) {
+  const expires = Date.now() + SESSION_HOURS * 60 * 60 * 1000;
+  const value = `${user}.${expires}.${signSession(user, expires)}`;
+  res.cookie(cookieName(), value, {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: process.env.DASHBOARD_SECURE_COOKIE === "true",
+    maxAge: SESSION_HOURS * 60 * 60 * 1000,
+  });
+}
+
+// The current tenant's login (DASHBOARD_USER / DASHBOARD_PASSWORD, or "dashboard" in the tenants file)
+const dashboardEnabled = () => Boolean(currentTenant().dashboard.user && currentTenant().dashboard.password);
+
+function requireLogin(req, res, next) {
+  if (!dashboardEnabled()) {
+    const how = currentTenant().fromEnv
+      ? "Set DASHBOARD_USER and DASHBOARD_PASSWORD"
+      : `Set dashboard.user and dashboard.password for tenant "${escapeHtml(currentTenantName())}" in the tenants file`;
+    return res.status(503).send(page("Dashboard disabled", `<p>${how} to enable the dashboard.</p>`));
+  }
+  if (!readSession(req)) return res.redirect(`${req.baseUrl}/login`);
+  next();
+}
+
+// --- Page layout ---
+function page(title, body, { refreshSeconds } = {}) {
+  return `
+    <html>
+      <head>
+        <title>${escapeHtml(title)} — Manage ConnectWise & PagerDuty APIs</title>
+        ${refreshSeconds ? `<meta http-equiv="refresh" content="${refreshSeconds}">` : ""}
+        <style>
+          body {
+            font-family: Arial, sans-serif;
+            background-color: #f9fafb;
+            margin: 24px;
+          }
+          h1, h2 {
+            color: black;
+          }
+          table {
+            border-collapse: collapse;
+            background: white;
+            margin-bottom: 24px;
+            font-size: 13px;
+          }
+          th, td {
+            border: 1px solid #e5e7eb;
+            padding: 4px 8px;
+            text-align: left;
+          }
+          th {
+            background: #f3f4f6;
+          }
+          .created { color: #047857; }
+          .updated { color: #1d4ed8; }
+          .skipped { color: #6b7280; }
+          .retrying { color: #b45309; }
+          .failed { color: #b91c1c; font-weight: bold; }
+          .muted { color: #6b7280; }
+        </style>
+      </head>
+      <body>
+        ${body}
+      </body>
+    </html>
+  `;
+}
+
+function table(headers, rows) {
+  if (rows.length === 0) return `<p class="muted">Nothing yet.</p>`;
+  return `
+    <table>
+      <tr>${headers.map((h) => `<th>${escapeHtml(h)}</th>`).join("")}</tr>
+      ${rows.map((cells) => `<tr>${cells.map((c) => `<td>${c}</td>`).join("")}</tr>`).join("")}
+    </table>
+  `;
+}
+
+// --- Login ---
+router.get("/login", (req, res) => {
+  const failed = req.query.failed ? `<p class="failed">Invalid username or password.</p>` : "";
+  res.send(
+    page(
+      "Login",
+      `
+      <h1>Manage ConnectWise and PagerDuty APIs</h1>
+      ${failed}
+      <form method="post" action="${req.baseUrl}/login">
+        <p><label>Username <input name="username" autocomplete="username"></label></p>
+        <p><label>Password <input name="password" type="password" autocomplete="current-password"></label></p>
+        <p><button type="submit">Log in</button></p>
+      </form>
+    `
+    )
+  );
+});
+
+router.post("/login", express.urlencoded({ extended: false }), (req, res) => {
+  const { username = "", password = "" } = req.body || {};
+  const valid =
+    dashboardEnabled() &&
+    safeEqual(username, currentTenant().dashboard.user) &&
+    safeEqual(password, currentTenant().dashboard.password);
+
+  if (!valid) {
+    log(`🚫 Failed dashboard login for "${username}" from ${req.ip}`);
+    return res.redirect(`${req.baseUrl}/login?failed=1`);
+  }
+
+  setSession(res, username);
+  res.redirect(`${req.baseUrl}/`);
+});
+
+router.post("/logout", (req, res) => {
+  res.clearCookie(cookieName());
+  res.redirect(`${req.baseUrl}/login`);
+});
+
+// --- Operations dashboard ---
+router.get("/", requireLogin, (req, res) => {
+  const links = listLinks()
+    .sort((a, b) => (b.updatedAt || "").localeCompare(a.updatedAt || ""))
+    .slice(0, 100);
+  const events = latestEvents(50);
+  const failures = failureCounts();
+  const queue = getQueueStats();
+
+  const linkRows = links.map((link) => {
+    const current = link.incidents[link.incidents.length - 1];
+    const state = link.syncState || {};
+    return [
+      `#${escapeHtml(link.ticketId)}`,
+      escapeHtml(link.board || ""),
+      escapeHtml(state.cwStatus || "—"),
+      escapeHtml(current?.id || "—"),
+      escapeHtml(state.pdStatus || "—"),
+      escapeHtml(state.owner || "—"),
+      link.incidents.length > 1 ? `${link.incidents.length} (reopened)` : "1",
+      escapeHtml(link.updatedAt || ""),
+    ];
+  });
+
+  const eventRows = events.map((e) => [
+    escapeHtml(e.receivedAt),
+    escapeHtml(e.source),
+    escapeHtml(e.eventType || ""),
+    e.ticketId ? `#${escapeHtml(e.ticketId)}` : "",
+    escapeHtml(e.incidentId || ""),
+    `<span class="${escapeHtml(e.outcome)}">${escapeHtml(e.outcome)}</span>`,
+    escapeHtml(e.reason || e.message || ""),
+  ]);
+
+  const countRows = (counts) => Object.entries(counts).map(([name, n]) => [escapeHtml(name), String(n)]);
+
+  res.send(
+    page(
+      "Operations",
+      `
+      <form method="post" action="${req.baseUrl}/logout" style="float: right"><button type="submit">Log out</button></form>
+      <h1>ConnectWise ↔ PagerDuty operations${req.tenant.fromEnv ? "" : ` — ${escapeHtml(req.tenant.name)}`}</h1>
+      ${SHADOW_MODE ? `<p class="retrying">Shadow mode: writes to ConnectWise and PagerDuty are intercepted, not sent.</p>` : ""}
+      <p>Queue: ${queue.pending} pending, ${queue.deadLetter} dead-lettered.</p>
+
+      <h2>Linked tickets and incidents</h2>
+      ${table(["Ticket", "Board", "CW status", "Incident", "PD status", "Owner", "Incidents", "Updated"], linkRows)}
+
+      <h2>Latest webhook events</h2>
+      ${table(["Received", "Source", "Event", "Ticket", "Incident", "Outcome", "Reason"], eventRows)}
+
+      <h2>Failures by board</h2>
+      ${table(["Board", "Failed events"], countRows(failures.byBoard))}
+
+      <h2>Failures by service</h2>
+      ${table(["Service", "Failed events"], countRows(failures.byService))}
+    `,
+      { refreshSeconds: 30 }
+    )
+  );
+});
+
+module.exports = router;
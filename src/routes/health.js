@@ -0,0 +1,33 @@
+// src/routes/health.js
+const express = require("express");
+const crypto = require("crypto");
+const router = express.Router();
+const { checkReadiness } = require("../services/readinessService");
+const { getTenant, DEFAULT_TENANT } = require("../config/tenants");
+
+// The operator's ADMIN_TOKEN (the default tenant's): the checks cover every tenant
+function hasAdminToken(req) {
+  const token = getTenant(DEFAULT_TENANT)?.adminToken;
+  if (!token) return false;
+
+  const supplied = Buffer.from((req.get("authorization") || "").replace(/^Bearer\s+/i, ""));
+  const expected = Buffer.from(token);
+  return supplied.length === expected.length && crypto.timingSafeEqual(supplied, expected);
+}
+
+// --- Liveness: the process is up and serving requests ---
+router.get("/healthz", (req, res) => {
+  res.json({ status: "ok", uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// --- Readiness: config is valid, CW and PD answer with our credentials ---
+// Probes get the status only. With ADMIN_TOKEN as bearer token: every check with its error,
+// and ?fresh=1 skips the short result cache (each fresh check calls the CW and PD APIs).
+router.get("/readyz", async (req, res) => {
+  const admin = hasAdminToken(req);
+  const result = await checkReadiness({ fresh: admin && Boolean(req.query.fresh) });
+  const status = result.ready ? "ready" : "not ready";
+  res.status(result.ready ? 200 : 503).json(admin ? { status, ...result } : { status });
+});
+
+module.exports = router;
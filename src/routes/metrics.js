@@ -0,0 +1,46 @@
+// src/routes/metrics.js
+const express = require("express");
+const crypto = require("crypto");
+const router = express.Router({ mergeParams: true });
+const metrics = require("../utils/metrics");
+const { getQueueStats } = require("../queue/webhookQueue");
+const { listTenants, runForTenant, currentTenant } = require("../config/tenants");
+
+// Scrapers send a bearer token: METRICS_TOKEN for /metrics (every tenant), and on
+// /t/<tenant>/metrics the tenant's own metricsToken from the tenants file (or METRICS_TOKEN).
+// Without any token set the metrics are open; once a tenant has one, /metrics needs METRICS_TOKEN.
+function requireMetricsToken(req, res, next) {
+  const globalToken = process.env.METRICS_TOKEN;
+  const tokens = req.params.tenant ? [currentTenant().metricsToken, globalToken] : [globalToken];
+  if (!tokens.some(Boolean)) {
+    if (req.params.tenant || !listTenants().some((t) => t.metricsToken)) return next();
+    return res.status(503).send("Set METRICS_TOKEN: tenants have their own metrics tokens\n");
+  }
+
+  const supplied = Buffer.from((req.get("authorization") || "").replace(/^Bearer\s+/i, ""));
+  const matches = (token) => {
+    const expected = Buffer.from(token);
+    return supplied.length === expected.length && crypto.timingSafeEqual(supplied, expected);
+  };
+  if (!tokens.filter(Boolean).some(matches)) {
+    return res.status(401).send("Unauthorized\n");
+  }
+  next();
+}
+
+// --- Prometheus scrape endpoint ---
+// /metrics: every tenant (series labelled by tenant); /t/<tenant>/metrics: that tenant only
+router.get("/", requireMetricsToken, (req, res) => {
+  const tenant = req.params.tenant || null;
+  for (const { name } of tenant ? [{ name: tenant }] : listTenants()) {
+    runForTenant(name, () => {
+      const { pending, deadLetter } = getQueueStats();
+      metrics.queueJobs.set({ state: "pending" }, pending);
+      metrics.queueJobs.set({ state: "dead_letter" }, deadLetter);
+    });
+  }
+
+  res.type("text/plain; version=0.0.4").send(metrics.render(tenant));
+});
+
+module.exports = router;
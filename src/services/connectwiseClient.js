@@ -0,0 +1,170 @@
+// src/services/connectwiseClient.js
+const axios = require("axios");
+const { log } = require("../utils/logger");
+const { currentTenant } = require("../config/tenants");
+const { installApiCallTracker } = require("../utils/apiCallTracker");
+
+// Record (and in shadow mode / dry runs, simulate) every call this client makes
+installApiCallTracker();
+
+// Site, codebase and credentials are the current tenant's (see config/tenants.js);
+// retries are the same for every tenant
+const MAX_RETRIES = Number(process.env.CW_MAX_RETRIES || 3);
+const RETRY_BASE_MS = Number(process.env.CW_RETRY_BASE_MS) || 500;
+const RETRY_MAX_MS = 30 * 1000;
+
+// --- Typed errors ---
+// The axios response stays on err.response so callers can still log the CW error body.
+class ConnectWiseError extends Error {
+  constructor(message, { status = null, method, path, response = null, code = null } = {}) {
+    super(message);
+    this.name = "ConnectWiseError";
+    this.status = status;
+    this.method = method;
+    this.path = path;
+    this.response = response;
+    this.code = code;
+  }
+}
+
+class ConnectWiseConfigError extends ConnectWiseError {
+  constructor(message) {
+    super(message);
+    this.name = "ConnectWiseConfigError";
+  }
+}
+
+class ConnectWiseAuthError extends ConnectWiseError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "ConnectWiseAuthError";
+  }
+}
+
+class ConnectWiseNotFoundError extends ConnectWiseError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "ConnectWiseNotFoundError";
+  }
+}
+
+class ConnectWiseRateLimitError extends ConnectWiseError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "ConnectWiseRateLimitError";
+  }
+}
+
+function toError(err, method, path) {
+  const status = err.response?.status || null;
+  const cwMessage = err.response?.data?.message || err.message;
+  const details = { status, method, path, response: err.response || null, code: err.code || null };
+  const message = `ConnectWise ${method} ${path} failed${status ? ` (${status})` : ""}: ${cwMessage}`;
+
+  if (status === 401 || status === 403) return new ConnectWiseAuthError(message, details);
+  if (status === 404) return new ConnectWiseNotFoundError(message, details);
+  if (status === 429) return new ConnectWiseRateLimitError(message, details);
+  return new ConnectWiseError(message, details);
+}
+
+function headers() {
+  const tenant = currentTenant();
+  const { companyId, publicKey, privateKey, clientId } = tenant.connectwise;
+  const missing = Object.entries({
+    CW_COMPANY_ID: companyId,
+    CW_PUBLIC_KEY: publicKey,
+    CW_PRIVATE_KEY: privateKey,
+    CW_CLIENT_ID: clientId,
+  })
+    .filter(([, value]) => !value)
+    .map(([name]) => name);
+  if (missing.length) {
+    throw new ConnectWiseConfigError(`❌ Missing ${missing.join(", ")}${tenant.fromEnv ? "" : ` for tenant ${tenant.name}`}`);
+  }
+
+  return {
+    Authorization: "Basic " + Buffer.from(`${companyId}+${publicKey}:${privateKey}`).toString("base64"),
+    "Content-Type": "application/json",
+    Accept: "application/json",
+    clientId,
+  };
+}
+
+// 429 and 5xx are retried for every method; network errors only for reads,
+// since a write may have reached CW before the connection dropped
+function isRetryable(err, method) {
+  const status = err.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return method === "GET";
+}
+
+// Retry-After (seconds) when CW sends it, otherwise exponential backoff with jitter
+function retryDelay(err, attempt) {
+  const retryAfter = Number(err.response?.headers?.["retry-after"]);
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, RETRY_MAX_MS);
+  const backoff = RETRY_BASE_MS * 2 ** attempt;
+  return Math.min(backoff + Math.random() * RETRY_BASE_MS, RETRY_MAX_MS);
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// --- One request; path is relative to the API root ("/service/tickets/1") or a full URL ---
+// Resolves with the axios response so callers can read headers (pagination).
+async function send({ method = "GET", path, params, data }) {
+  const apiUrl = exports.apiUrl();
+  const url = /^https?:\/\//.test(path) ? path : `${apiUrl}${path}`;
+  const label = path.replace(apiUrl, "").split("?")[0];
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await axios.request({ method, url, params, data, headers: headers() });
+    } catch (err) {
+      if (err instanceof ConnectWiseError) throw err;
+      if (attempt >= MAX_RETRIES || !isRetryable(err, method)) throw toError(err, method, label);
+
+      const delay = retryDelay(err, attempt);
+      log(`⏳ ConnectWise ${method} ${label} returned ${err.response?.status || err.code}, retrying in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+exports.request = async (options) => (await send(options)).data;
+
+exports.get = (path, params) => exports.request({ method: "GET", path, params });
+exports.post = (path, data) => exports.request({ method: "POST", path, data });
+exports.patch = (path, data) => exports.request({ method: "PATCH", path, data });
+
+// Next page URL from a Link header: <https://…&page=2>; rel="next"
+function nextLink(linkHeader) {
+  const match = (linkHeader || "").split(",").find((part) => /rel="?next"?/.test(part));
+  return match ? match.match(/<([^>]+)>/)?.[1] || null : null;
+}
+
+// --- Every item of a list endpoint ---
+// Follows the Link header when CW sends one, otherwise pages until a short page.
+exports.getAll = async (path, params = {}, { pageSize = 100 } = {}) => {
+  const items = [];
+  let request = { path, params: { ...params, page: 1, pageSize } };
+
+  for (;;) {
+    const res = await send(request);
+    const batch = res.data || [];
+    items.push(...batch);
+
+    const next = nextLink(res.headers?.link);
+    if (next) request = { path: next };
+    else if (batch.length < pageSize || !request.params) break;
+    else request = { path, params: { ...request.params, page: request.params.page + 1 } };
+  }
+  return items;
+};
+
+// API root of the current tenant's CW site, e.g. https://na.myconnectwise.net/v2025_1/apis/3.0
+exports.apiUrl = () => currentTenant().connectwise.apiUrl;
+
+exports.ConnectWiseError = ConnectWiseError;
+exports.ConnectWiseConfigError = ConnectWiseConfigError;
+exports.ConnectWiseAuthError = ConnectWiseAuthError;
+exports.ConnectWiseNotFoundError = ConnectWiseNotFoundError;
+exports.ConnectWiseRateLimitError = ConnectWiseRateLimitError;
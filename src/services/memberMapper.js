@@ -0,0 +1,67 @@
+// src/services/memberMapper.js
+const { log } = require("../utils/logger");
+const { findMember } = require("./connectwiseService");
+const { getUser, findUserByEmail } = require("./pagerdutyService");
+const { getMemberConfig } = require("../config/mapping");
+const { currentTenant, currentTenantName } = require("../config/tenants");
+
+const CACHE_TTL_MS = 15 * 60 * 1000;
+const cache = new Map(); // "<tenant>:pd:<userId>" / "<tenant>:cw:<identifier>" / "<tenant>:self" → { value, expires }
+
+async function cached(name, lookup) {
+  const key = `${currentTenantName()}:${name}`;
+  const hit = cache.get(key);
+  if (hit && hit.expires > Date.now()) return hit.value;
+
+  const value = await lookup();
+  cache.set(key, { value, expires: Date.now() + CACHE_TTL_MS });
+  return value;
+}
+
+// --- PD user → CW member identifier (override first, then matching email) ---
+exports.cwMemberForPdUser = async (pdUserId) => {
+  if (!pdUserId) return null;
+  const { matchBy, overrides } = getMemberConfig();
+
+  const override = overrides.find((o) => o.pdUserId === pdUserId);
+  if (override) return override.cwMember;
+  if (matchBy !== "email") return null;
+
+  return cached(`pd:${pdUserId}`, async () => {
+    const user = await getUser(pdUserId);
+    if (!user?.email) return null;
+
+    const member = await findMember({ email: user.email });
+    if (!member) log(`No CW member with email ${user.email} (PD user ${pdUserId})`);
+    return member?.identifier || null;
+  });
+};
+
+// --- CW member identifier → PD user ID (override first, then matching email) ---
+exports.pdUserForCwMember = async (identifier) => {
+  if (!identifier) return null;
+  const { matchBy, overrides } = getMemberConfig();
+
+  const override = overrides.find((o) => o.cwMember.toLowerCase() === identifier.toLowerCase());
+  if (override) return override.pdUserId;
+  if (matchBy !== "email") return null;
+
+  return cached(`cw:${identifier.toLowerCase()}`, async () => {
+    const member = await findMember({ identifier });
+    if (!member?.officeEmail) return null;
+
+    const user = await findUserByEmail(member.officeEmail);
+    if (!user) log(`No PD user with email ${member.officeEmail} (CW member ${identifier})`);
+    return user?.id || null;
+  });
+};
+
+// --- Is this PD user the one the integration acts as (PAGERDUTY_USER_EMAIL)? ---
+// Events it caused are our own changes coming back, not something a responder did.
+exports.isIntegrationUser = async (pdUserId) => {
+  const { userEmail } = currentTenant().pagerduty;
+  if (!pdUserId || !userEmail) return false;
+
+  const self = await cached("self", () => findUserByEmail(userEmail));
+  return self?.id === pdUserId;
+};
@@ -0,0 +1,12 @@
+// src/services/noteMarkers.js
+// Every mirrored note carries a marker naming where it came from, so the copy
+// is recognised (and not mirrored back) when the other side reports it.
+const ORIGIN_MARKERS = {
+  connectwise: "[synced from ConnectWise]",
+  pagerduty: "[synced from PagerDuty]",
+};
+
+exports.withOriginMarker = (text, origin) => `${text}\n\n${ORIGIN_MARKERS[origin]}`;
+
+exports.hasOriginMarker = (text = "") =>
+  Object.values(ORIGIN_MARKERS).some((marker) => text.includes(marker));
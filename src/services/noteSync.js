@@ -0,0 +1,79 @@
+// src/services/noteSync.js
+const { log } = require("../utils/logger");
+const { getTicketNotes, addTicketNote } = require("./connectwiseService");
+const { addIncidentNote } = require("./pagerdutyService");
+const { getNoteSyncConfig } = require("../config/mapping");
+const { recordNoteSync, isCwNoteSynced, isPdNoteSynced } = require("../store/noteSyncStore");
+const { withOriginMarker, hasOriginMarker } = require("./noteMarkers");
+
+// (the origin markers live in noteMarkers.js so pagerdutyService can use them too)
+exports.withOriginMarker = withOriginMarker;
+exports.hasOriginMarker = hasOriginMarker;
+
+// CW note flags → note type name used in the mapping and by addTicketNote
+function cwNoteType(note) {
+  if (note.resolutionFlag) return "resolution";
+  if (note.internalAnalysisFlag) return "internal";
+  return "discussion";
+}
+
+const NOTE_LABELS = { discussion: "Discussion", internal: "Internal", resolution: "Resolution" };
+
+// --- Mirror new CW ticket notes to the linked PD incident ---
+// The initial description is skipped: createIncident already posts it.
+exports.syncCwNotesToPd = async (ticketId, incidentId) => {
+  const { cwToPd } = getNoteSyncConfig();
+  const notes = await getTicketNotes(ticketId);
+  const initialDescription = notes.find((n) => n.detailDescriptionFlag === true);
+  let synced = 0;
+
+  for (const note of notes) {
+    if (note === initialDescription || isCwNoteSynced(note.id)) continue;
+    if (exports.hasOriginMarker(note.text)) continue;
+
+    const type = cwNoteType(note);
+    if (!cwToPd[type]) continue;
+
+    const author = note.member?.name || note.contact?.name || note.createdBy || "ConnectWise";
+    const content = exports.withOriginMarker(
+      `[CW ${NOTE_LABELS[type]}] ${author}: ${note.text}`,
+      "connectwise"
+    );
+    const pdNote = await addIncidentNote(incidentId, content);
+
+    recordNoteSync({ cwNoteId: note.id, pdNoteId: pdNote?.id, ticketId, incidentId, origin: "connectwise" });
+    synced++;
+  }
+
+  if (synced > 0) log(`🔄 Mirrored ${synced} CW note(s) from Ticket #${ticketId} to incident ${incidentId}`);
+  return synced;
+};
+
+// --- Mirror one PD incident note to the linked CW ticket ---
+// "Resolution Note:" and "Internal:" prefixes pick the CW note type; otherwise the mapping default.
+exports.syncPdNoteToCw = async (ticketId, incidentId, pdNote) => {
+  const content = (pdNote.content || "").trim();
+  if (!content || exports.hasOriginMarker(content)) return null;
+  if (pdNote.id && isPdNoteSynced(pdNote.id)) return null;
+
+  let type = getNoteSyncConfig().pdToCw;
+  let text = content;
+  if (/^Resolution Note:/i.test(content)) {
+    type = "resolution";
+    text = content.replace(/^Resolution Note:\s*/i, "");
+  } else if (/^Internal:/i.test(content)) {
+    type = "internal";
+    text = content.replace(/^Internal:\s*/i, "");
+  }
+
+  const author = pdNote.user?.summary || "PagerDuty";
+  const cwNote = await addTicketNote(
+    ticketId,
+    exports.withOriginMarker(`${author}: ${text}`, "pagerduty"),
+    NOTE_LABELS[type]
+  );
+
+  recordNoteSync({ cwNoteId: cwNote?.id, pdNoteId: pdNote.id, ticketId, incidentId, origin: "pagerduty" });
+  log(`🔄 Mirrored PD note to ConnectWise Ticket #${ticketId} as ${NOTE_LABELS[type]}`);
+  return cwNote;
+};
@@ -0,0 +1,23 @@
+// src/services/pagerdutyEvents.js
+const axios = require("axios");
+const { currentTenant } = require("../config/tenants");
+const { installApiCallTracker } = require("../utils/apiCallTracker");
+
+// Record (and in shadow mode / dry runs, simulate) every call this client makes
+installApiCallTracker();
+
+// Send a trigger / acknowledge / resolve event to PagerDuty Events API v2.
+// Only "trigger" takes a payload; the others act on the alert with the same dedup_key.
+exports.sendEvent = async ({ routingKey, action, dedupKey, payload }) => {
+  const body = {
+    routing_key: routingKey,
+    event_action: action,
+    dedup_key: dedupKey,
+  };
+  if (action === "trigger") body.payload = payload;
+
+  const res = await axios.post(currentTenant().pagerduty.eventsUrl, body, {
+    headers: { "Content-Type": "application/json" },
+  });
+  return res.data; // { status, message, dedup_key }
+};
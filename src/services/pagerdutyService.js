@@ -1,109 +1,160 @@
 // src/services/pagerdutyService.js
 const axios = require("axios");
 const { log, error } = require("../utils/logger");
-const incidentLock = new Set(); // Prevent race condition
+const { getBoard, findPriorityByCwName, findPriorityByCode } = require("../config/mapping");
+const { findMatchingRule } = require("./routingRules");
+const { recordLink, getCurrentIncidentId, getSyncState, updateSyncState } = require("../store/linkStore");
+const { recordNoteSync } = require("../store/noteSyncStore");
+const { withOriginMarker } = require("./noteMarkers");
+const { sendEvent } = require("./pagerdutyEvents");
+const { withLock, remember, recall } = require("../store/idempotencyStore");
+const { isSimulated } = require("../utils/shadow");
+const metrics = require("../utils/metrics");
+const { currentTenant } = require("../config/tenants");
+const { installApiCallTracker } = require("../utils/apiCallTracker");
 
-// Load from ENV ONLY (fix)
-const PD_API_URL = process.env.PD_API_URL;
-const PD_API_KEY = process.env.PD_API_KEY;
+// Record (and in shadow mode / dry runs, simulate) every call this client makes
+installApiCallTracker();
 
-const pdHeaders = {
-  Authorization: `Token token=${PD_API_KEY}`,
-  Accept: "application/vnd.pagerduty+json;version=2",
-  "Content-Type": "application/json",
-  From: process.env.PD_USER_EMAIL,
+// How long a just-created incident is remembered for concurrent deliveries of the same ticket
+const CREATED_TTL_MS = 10 * 60 * 1000;
+
+// --- The current tenant's PagerDuty account (see config/tenants.js) ---
+const pdUrl = () => currentTenant().pagerduty.apiUrl;
+
+const pdHeaders = () => {
+  const { apiKey, userEmail } = currentTenant().pagerduty;
+  return {
+    Authorization: `Token token=${apiKey}`,
+    Accept: "application/vnd.pagerduty+json;version=2",
+    "Content-Type": "application/json",
+    From: userEmail,
+  };
 };
 
-// Validate ENV
-if (!PD_API_KEY) throw new Error("❌ Missing PD_API_KEY");
-if (!PD_API_URL) throw new Error("❌ Missing PD_API_URL");
-if (!process.env.PD_SERVICE_TS) throw new Error("❌ Missing PD_SERVICE_TS");
-if (!process.env.PD_USER_EMAIL) throw new Error("❌ Missing PD_USER_EMAIL");
+// "rest": incidents are created/updated through the REST API with a user API key.
+// "events": trigger/acknowledge/resolve go through Events API v2 with per-service
+// integration keys; the REST API (if a key is set) is only used for reads and notes.
+const pdMode = () => (currentTenant().pagerduty.mode === "events" ? "events" : "rest");
+// (required settings are checked at startup by src/config/validateConfig.js)
+
+// --- Decide service, priority and title for a ticket ---
+// The first matching routing rule decides; without one the board's service, its summary
+// keywords and the mapped CW priority do. Returns { skip: reason, message } when the ticket
+// shouldn't be paged. now: the time business hours are checked against.
+// (In Events API mode the board's integration key picks the service: a rule's service and
+// escalation policy only apply with the REST API.)
+async function planIncident(ticket, { now = new Date() } = {}) {
+  const board = getBoard(ticket.board?.name);
+  if (!board) {
+    throw new Error(`Ticket board "${ticket.board?.name}" is not mapped`);
+  }
+
+  const matched = await findMatchingRule(ticket, { now });
+  if (matched?.rule.skip) {
+    return {
+      skip: "rule_skip",
+      rule: matched.name,
+      message: `Skipped incident creation for Ticket #${ticket.id} — rule "${matched.name}": ${matched.rule.skip}`,
+    };
+  }
+  const route = matched?.rule.route || {};
+
+  if (!matched && board.summaryKeywords?.length) {
+    // Normalize: convert multiple spaces → single space
+    const summaryNormalized = (ticket.summary || "").replace(/\s+/g, " ").trim();
+
+    const containsAllowed = board.summaryKeywords.some((kw) =>
+      new RegExp(kw.replace(/\s+/g, "\\s+"), "i").test(summaryNormalized)
+    );
+
+    if (!containsAllowed) {
+      return {
+        skip: "keyword_filter",
+        message: `Skipped incident creation for Ticket #${ticket.id} — summary does not contain allowed keywords`,
+      };
+    }
+  }
+  const serviceId = route.service || board.service;
+
+  // Priority handling... (a rule's priority is paged whatever the ticket's is)
+  const priority = route.priority ? findPriorityByCode(route.priority) : findPriorityByCwName(ticket.priority?.name);
+  if (!priority || (!priority.page && !route.priority)) {
+    return {
+      skip: "priority_not_allowed",
+      message: `Ticket #${ticket.id} skipped — priority "${ticket.priority?.name}" is NOT allowed for PagerDuty.`,
+    };
+  }
+  const { pdPriorityId: priorityId, code: priorityCode } = priority;
+  const urgency = route.urgency || priority.urgency;
+  const escalationPolicyId = route.escalationPolicy || null;
+  const title = incidentTitle(ticket, priorityCode);
+
+  return {
+    board,
+    title,
+    serviceId,
+    urgency,
+    priorityId,
+    priorityCode,
+    priority,
+    escalationPolicyId,
+    rule: matched?.name || null,
+  };
+}
+
+// "P1 | #123 - Summary" (the "#123" is how incidents without a stored link are matched to tickets)
+function incidentTitle(ticket, priorityCode) {
+  const summaryClean = (ticket.summary || "No summary")
+    .replace(/\s+/g, " ")
+    .trim();
+  return `${priorityCode} | #${ticket.id} - ${summaryClean}`;
+}
+
+// --- Incident created: count it, and time it from the ticket's creation (first incident only) ---
+function countIncidentCreated(ticket, plan) {
+  if (isSimulated()) return;
+  const labels = { board: ticket.board?.name, priority: plan.priorityCode };
+  metrics.incidentsCreated.inc({ ...labels, service: plan.serviceId });
+
+  const enteredAt = Date.parse(ticket._info?.dateEntered || ticket.dateEntered || "");
+  if (!getCurrentIncidentId(ticket.id) && !isNaN(enteredAt)) {
+    metrics.ticketToIncidentSeconds.observe(labels, Math.max(0, (Date.now() - enteredAt) / 1000));
+  }
+}
 
 // Create a new PagerDuty incident
 exports.createIncident = async (ticket) => {
+  if (pdMode() === "events") return createIncidentViaEvents(ticket);
+
   const incidentKey = `CW-${ticket.id}`;
 
-  // ⛔ Prevent race-condition duplicate creation
-  if (incidentLock.has(incidentKey)) {
-    log(`⏳ Waiting: Another process is creating incident for ${incidentKey}`);
-    await new Promise((resolve) => setTimeout(resolve, 2000));
-  } else {
-    incidentLock.add(incidentKey);
-  }
+  // 🔒 One creation per ticket at a time, across replicas
+  return withLock(incidentKey, () => createIncidentLocked(ticket, incidentKey));
+};
 
+async function createIncidentLocked(ticket, incidentKey) {
   try {
-    // 🛑 Check again after lock (avoid duplicate)
-    let existing = await exports.getIncidentByKey(incidentKey);
-    if (existing) {
+    // 🛑 Check again under the lock (avoid duplicate): first the incident a concurrent
+    // delivery just created (PD's incident_key search can lag behind), then PagerDuty.
+    // A resolved incident doesn't count — a reopened ticket needs a new one.
+    const justCreatedId = await recall(`incident:${incidentKey}`);
+    let existing = justCreatedId ? await exports.getIncident(justCreatedId) : null;
+    if (!existing || existing.status === "resolved") existing = await exports.getIncidentByKey(incidentKey);
+    if (existing && existing.status !== "resolved") {
       log(`⚠ Incident for ${incidentKey} already exists → ${existing.id}`);
+      await exports.addPendingDescriptionNote(ticket, existing.id);
       return existing;
     }
 
     // 🚀 Proceed with creation
-    let serviceId;
-    if (ticket.board?.name === "Technical Support") {
-      const summary = ticket.summary || "";
-
-      // Normalize: convert multiple spaces → single space
-      const summaryNormalized = summary.replace(/\s+/g, " ").trim();
-
-      const allowedKeywords = [
-        "via Critical",
-        "via Non Critical",
-        "via Technical Support",
-      ];
-
-      const containsAllowed = allowedKeywords.some((kw) =>
-        new RegExp(kw.replace(/\s+/g, "\\s+"), "i").test(summaryNormalized)
-      );
-
-      if (!containsAllowed) {
-        log(
-          `Skipped incident creation for Ticket #${ticket.id} — summary does not contain allowed keywords`
-        );
-        return null;
-      }
-      serviceId = process.env.PD_SERVICE_TS;
-    } else if (ticket.board?.name === "Security Operations Center") {
-      serviceId = process.env.PD_SERVICE_SOC;
-    } else if (ticket.board?.name === "Alerts") {
-      serviceId = process.env.PD_SERVICE_NOC;
-    } else {
-      throw new Error(`Ticket board "${ticket.board?.name}" is not mapped`);
-    }
-
-    // Priority handling...
-    const priorityName = (ticket.priority?.name || "").toLowerCase();
-    let priorityId = null;
-    let urgency = "low";
-    let priorityCode = null;
-
-    if (["1a - emergency", "1b - emergency"].includes(priorityName)) {
-      priorityId = process.env.PD_PRIORITY_P1;
-      urgency = "high";
-      priorityCode = "P1";
-    } else if (
-      ["2a - critical", "2b - critical", "2c - critical"].includes(priorityName)
-    ) {
-      priorityId = process.env.PD_PRIORITY_P2;
-      urgency = "high";
-      priorityCode = "P2";
-    } else if (["3 - high"].includes(priorityName)) {
-      priorityId = process.env.PD_PRIORITY_P3;
-      urgency = "high";
-      priorityCode = "P3";
-    } else {
-      log(
-        `Ticket #${ticket.id} skipped — priority "${ticket.priority?.name}" is NOT allowed for PagerDuty.`
-      );
+    const plan = await planIncident(ticket);
+    if (plan.skip) {
+      log(plan.message);
       return null;
     }
-
-    const summaryClean = (ticket.summary || "No summary")
-      .replace(/\s+/g, " ")
-      .trim();
-    const title = `${priorityCode} | #${ticket.id} - ${summaryClean}`;
+    const { title, serviceId, urgency, priorityId, escalationPolicyId } = plan;
+    if (plan.rule) log(`🧭 Ticket #${ticket.id} routed by rule "${plan.rule}"`);
 
     const payload = {
       incident: {
@@ -112,6 +163,9 @@ exports.createIncident = async (ticket) => {
         service: { id: serviceId, type: "service_reference" },
         urgency,
         priority: { id: priorityId, type: "priority_reference" },
+        ...(escalationPolicyId && {
+          escalation_policy: { id: escalationPolicyId, type: "escalation_policy_reference" },
+        }),
         body: {
           type: "incident_body",
           details:
@@ -122,20 +176,25 @@ exports.createIncident = async (ticket) => {
     };
 
     // 🛠 Create Incident
-    const res = await axios.post(`${PD_API_URL}/incidents`, payload, {
-      headers: pdHeaders,
+    const res = await axios.post(`${pdUrl()}/incidents`, payload, {
+      headers: pdHeaders(),
     });
     const incident = res.data?.incident;
     if (!incident) throw new Error("PagerDuty did not return incident object");
 
     log(`🎯 Created PagerDuty incident ${incident.id}`);
+    if (!isSimulated()) await remember(`incident:${incidentKey}`, incident.id, CREATED_TTL_MS);
+    countIncidentCreated(ticket, plan);
+
+    recordLink(ticket.id, incident.id, {
+      reason: getCurrentIncidentId(ticket.id) ? "reopened" : "created",
+      board: ticket.board?.name,
+    });
 
+    // Pending until posted: if posting fails, the retry finds the incident and posts it then
     if (ticket.description) {
-      await axios.post(
-        `${PD_API_URL}/incidents/${incident.id}/notes`,
-        { note: { content: ticket.description } },
-        { headers: pdHeaders }
-      );
+      updateSyncState(ticket.id, { descriptionNoteFor: incident.id });
+      await addDescriptionNote(ticket, incident.id);
     }
 
     return incident;
@@ -145,26 +204,103 @@ exports.createIncident = async (ticket) => {
       err.response?.data || err.message
     );
     throw err;
-  } finally {
-    incidentLock.delete(incidentKey); // 🔓 Unlock
+  }
+}
+
+// --- The ticket's description as the first note on its new incident ---
+// Marked and recorded as synced: PD's annotation webhook for it mustn't copy it back to the ticket
+async function addDescriptionNote(ticket, incidentId) {
+  const pdNote = await exports.addIncidentNote(incidentId, withOriginMarker(ticket.description, "connectwise"));
+  recordNoteSync({ pdNoteId: pdNote?.id, ticketId: ticket.id, incidentId, origin: "connectwise" });
+  updateSyncState(ticket.id, { descriptionNoteFor: null });
+}
+
+// --- Post the description if an earlier delivery created the incident but failed to ---
+exports.addPendingDescriptionNote = async (ticket, incidentId) => {
+  if (ticket.description && getSyncState(ticket.id).descriptionNoteFor === incidentId) {
+    await addDescriptionNote(ticket, incidentId);
   }
 };
 
+// --- Events API v2: trigger an alert with dedup_key CW-<ticketId> ---
+// PagerDuty deduplicates on the key, so no local lock or re-check is needed.
+async function createIncidentViaEvents(ticket) {
+  const dedupKey = `CW-${ticket.id}`;
+
+  try {
+    const plan = await planIncident(ticket);
+    if (plan.skip) {
+      log(plan.message);
+      return null;
+    }
+
+    if (!plan.board.integrationKey) {
+      throw new Error(`Board "${ticket.board?.name}" has no integrationKey for Events API mode`);
+    }
+
+    await sendEvent({
+      routingKey: plan.board.integrationKey,
+      action: "trigger",
+      dedupKey,
+      payload: {
+        summary: plan.title.slice(0, 1024),
+        source: `ConnectWise ticket #${ticket.id}`,
+        severity: plan.priority.severity || (plan.urgency === "high" ? "error" : "warning"),
+        component: ticket.board?.name,
+        group: ticket.company?.name,
+        custom_details: {
+          ticket_id: ticket.id,
+          priority: ticket.priority?.name,
+          status: ticket.status?.name,
+          description: ticket.description || ticket.summary || "No details provided.",
+        },
+      },
+    });
+    countIncidentCreated(ticket, plan);
+
+    // The incident ID is only known if we can read it back through the REST API;
+    // otherwise the PD webhook for the new incident links it by title.
+    const incident = currentTenant().pagerduty.apiKey ? await exports.getIncidentByKey(dedupKey) : null;
+    if (incident) {
+      recordLink(ticket.id, incident.id, {
+        reason: getCurrentIncidentId(ticket.id) ? "reopened" : "created",
+        board: ticket.board?.name,
+      });
+      return incident;
+    }
+    return { id: null, incident_key: dedupKey, status: "triggered" };
+  } catch (err) {
+    error("🚨 Failed to trigger PagerDuty event", err.response?.data || err.message);
+    throw err;
+  }
+}
+
 // Update PagerDuty incident (acknowledge / resolve)
-exports.updateIncident = async (incidentId, status) => {
+// In Events API mode the ticket is needed for the routing key and dedup key.
+exports.updateIncident = async (incidentId, status, ticket = null) => {
+  if (pdMode() === "events") {
+    const board = getBoard(ticket?.board?.name);
+    if (!board?.integrationKey) {
+      throw new Error(`No integrationKey for board "${ticket?.board?.name}" — cannot ${status} via Events API`);
+    }
+    const action = { acknowledged: "acknowledge", resolved: "resolve" }[status];
+    if (!action) throw new Error(`Events API cannot set status "${status}"`);
+
+    await sendEvent({ routingKey: board.integrationKey, action, dedupKey: `CW-${ticket.id}` });
+    log(`Sent ${action} event for CW-${ticket.id}`);
+    return { id: incidentId, status };
+  }
+
   try {
     const payload = {
       incident: { type: "incident", status },
     };
 
     const res = await axios.put(
-      `${PD_API_URL}/incidents/${incidentId}`,
+      `${pdUrl()}/incidents/${incidentId}`,
       payload,
       {
-        headers: {
-          ...pdHeaders,
-          From: process.env.PD_USER_EMAIL,
-        },
+        headers: pdHeaders(),
       }
     );
 
@@ -177,12 +313,215 @@ exports.updateIncident = async (incidentId, status) => {
   }
 };
 
+// Change an incident's urgency, priority and/or title
+exports.updateIncidentDetails = async (incidentId, { urgency, priorityId, title } = {}) => {
+  const incident = { type: "incident" };
+  if (urgency) incident.urgency = urgency;
+  if (priorityId) incident.priority = { id: priorityId, type: "priority_reference" };
+  if (title) incident.title = title;
+
+  try {
+    const res = await axios.put(`${pdUrl()}/incidents/${incidentId}`, { incident }, { headers: pdHeaders() });
+    log(
+      `Updated PagerDuty incident ${incidentId}`,
+      [urgency && `urgency ${urgency}`, priorityId && `priority ${priorityId}`, title && `title "${title}"`]
+        .filter(Boolean)
+        .join(", ")
+    );
+    return res.data?.incident;
+  } catch (err) {
+    error(`Failed to update PagerDuty incident ${incidentId}`, err.response?.data || err.message);
+    throw err;
+  }
+};
+
+// Ask more responders to join an incident: [{ type: "user" | "escalation_policy", id }].
+// PagerDuty needs a requesting user; that is the integration user (From address).
+exports.addResponders = async (incidentId, responders, message) => {
+  const { userEmail } = currentTenant().pagerduty;
+  const requester = userEmail ? await exports.findUserByEmail(userEmail) : null;
+  if (!requester) throw new Error(`No PagerDuty user with email "${userEmail}" to request responders as`);
+
+  try {
+    const payload = {
+      requester_id: requester.id,
+      message,
+      responder_request_targets: responders.map(({ type, id }) => ({
+        responder_request_target: { id, type: `${type}_reference` },
+      })),
+    };
+    const res = await axios.post(`${pdUrl()}/incidents/${incidentId}/responder_requests`, payload, {
+      headers: pdHeaders(),
+    });
+    log(`📣 Requested responders for PagerDuty incident ${incidentId}: ${responders.map((r) => r.id).join(", ")}`);
+    return res.data?.responder_request;
+  } catch (err) {
+    error(`Failed to request responders for PagerDuty incident ${incidentId}`, err.response?.data || err.message);
+    throw err;
+  }
+};
+
+// Add a note to a PagerDuty incident
+exports.addIncidentNote = async (incidentId, content) => {
+  try {
+    const res = await axios.post(
+      `${pdUrl()}/incidents/${incidentId}/notes`,
+      { note: { content } },
+      { headers: pdHeaders() }
+    );
+    log(`🗒️ Added note to PagerDuty incident ${incidentId}`);
+    return res.data?.note;
+  } catch (err) {
+    error(`Failed to add note to PagerDuty incident ${incidentId}`, err.response?.data || err.message);
+    throw err;
+  }
+};
+
+// List the notes on a PagerDuty incident (oldest first)
+exports.getIncidentNotes = async (incidentId) => {
+  const res = await axios.get(`${pdUrl()}/incidents/${incidentId}/notes`, {
+    headers: pdHeaders(),
+  });
+  return res.data?.notes || [];
+};
+
+// List an incident's log entries (acknowledgements, assignments, resolve …), oldest first
+exports.getIncidentLogEntries = async (incidentId) => {
+  const limit = 100;
+  const entries = [];
+  for (let offset = 0; ; offset += limit) {
+    const res = await axios.get(`${pdUrl()}/incidents/${incidentId}/log_entries`, {
+      headers: pdHeaders(),
+      params: { limit, offset },
+    });
+    entries.push(...(res.data?.log_entries || []));
+    if (!res.data?.more) break;
+  }
+  return entries.sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at));
+};
+
+// List incidents on the given services, following offset pagination.
+// Open incidents only, unless a since/until range is given (then all statuses in it).
+exports.listIncidents = async (serviceIds, { since, until } = {}) => {
+  const params = new URLSearchParams();
+  serviceIds.forEach((id) => params.append("service_ids[]", id));
+  if (since || until) {
+    ["triggered", "acknowledged", "resolved"].forEach((s) => params.append("statuses[]", s));
+    if (since) params.append("since", new Date(since).toISOString());
+    if (until) params.append("until", new Date(until).toISOString());
+  } else {
+    ["triggered", "acknowledged"].forEach((s) => params.append("statuses[]", s));
+  }
+
+  const limit = 100;
+  const incidents = [];
+  for (let offset = 0; ; offset += limit) {
+    params.set("limit", limit);
+    params.set("offset", offset);
+    const res = await axios.get(`${pdUrl()}/incidents?${params}`, { headers: pdHeaders() });
+    incidents.push(...(res.data?.incidents || []));
+    if (!res.data?.more) break;
+  }
+  return incidents;
+};
+
+// Reassign a PagerDuty incident to one or more users
+exports.reassignIncident = async (incidentId, userIds) => {
+  try {
+    const payload = {
+      incident: {
+        type: "incident",
+        assignments: [].concat(userIds).map((id) => ({
+          assignee: { id, type: "user_reference" },
+        })),
+      },
+    };
+    const res = await axios.put(`${pdUrl()}/incidents/${incidentId}`, payload, {
+      headers: pdHeaders(),
+    });
+    log(`Reassigned PagerDuty incident ${incidentId} → ${[].concat(userIds).join(", ")}`);
+    return res.data?.incident;
+  } catch (err) {
+    error(`Failed to reassign PagerDuty incident ${incidentId}`, err.response?.data || err.message);
+    throw err;
+  }
+};
+
+// Merge incidents into a target incident (PD resolves them, with a merge resolve_reason)
+exports.mergeIncidents = async (targetIncidentId, sourceIncidentIds) => {
+  try {
+    const payload = {
+      source_incidents: [].concat(sourceIncidentIds).map((id) => ({ id, type: "incident_reference" })),
+    };
+    const res = await axios.put(`${pdUrl()}/incidents/${targetIncidentId}/merge`, payload, {
+      headers: pdHeaders(),
+    });
+    log(`🔗 Merged PagerDuty incident(s) ${[].concat(sourceIncidentIds).join(", ")} → ${targetIncidentId}`);
+    return res.data?.incident;
+  } catch (err) {
+    error(`Failed to merge into PagerDuty incident ${targetIncidentId}`, err.response?.data || err.message);
+    throw err;
+  }
+};
+
+// Get a PagerDuty user (for the email address)
+exports.getUser = async (userId) => {
+  try {
+    const res = await axios.get(`${pdUrl()}/users/${userId}`, { headers: pdHeaders() });
+    return res.data?.user || null;
+  } catch (err) {
+    if (err.response?.status === 404) return null;
+    error(`Failed to fetch PagerDuty user ${userId}`, err.response?.data || err.message);
+    throw err;
+  }
+};
+
+// Find a PagerDuty user by email address
+exports.findUserByEmail = async (email) => {
+  const res = await axios.get(`${pdUrl()}/users`, {
+    headers: pdHeaders(),
+    params: { query: email, limit: 25 },
+  });
+  const users = res.data?.users || [];
+  return users.find((u) => u.email?.toLowerCase() === email.toLowerCase()) || null;
+};
+
+// Get PagerDuty Incident by ID
+exports.getIncident = async (incidentId) => {
+  try {
+    const res = await axios.get(`${pdUrl()}/incidents/${incidentId}`, {
+      headers: pdHeaders(),
+    });
+    return res.data?.incident || null;
+  } catch (err) {
+    error(`Failed to fetch incident ${incidentId}`, err.message);
+    return null;
+  }
+};
+
+// Get a PagerDuty service (null if it doesn't exist)
+exports.getService = async (serviceId) => {
+  try {
+    const res = await axios.get(`${pdUrl()}/services/${serviceId}`, { headers: pdHeaders() });
+    return res.data?.service || null;
+  } catch (err) {
+    if (err.response?.status === 404) return null;
+    throw err;
+  }
+};
+
+// List the account's incident priorities
+exports.listPriorities = async () => {
+  const res = await axios.get(`${pdUrl()}/priorities`, { headers: pdHeaders(), params: { limit: 100 } });
+  return res.data?.priorities || [];
+};
+
 // Get PagerDuty Incident by Key (CW Ticket ID)
 exports.getIncidentByKey = async (incidentKey) => {
   try {
     const res = await axios.get(
-      `${PD_API_URL}/incidents?incident_key=${incidentKey}&limit=1`,
-      { headers: pdHeaders }
+      `${pdUrl()}/incidents?incident_key=${incidentKey}&limit=1`,
+      { headers: pdHeaders() }
     );
 
     return res.data?.incidents?.[0] || null;
@@ -191,3 +530,7 @@ exports.getIncidentByKey = async (incidentKey) => {
     return null;
   }
 };
+
+exports.planIncident = planIncident;
+exports.incidentTitle = incidentTitle;
+exports.pdMode = pdMode;
@@ -0,0 +1,84 @@
+// src/services/readinessService.js
+const { getMapping } = require("../config/mapping");
+const { validateConfig } = require("../config/validateConfig");
+const { getSystemInfo } = require("./connectwiseService");
+const { getService, listPriorities, pdMode } = require("./pagerdutyService");
+const { currentTenant, listTenants, runForTenant, DEFAULT_TENANT } = require("../config/tenants");
+
+// Probes hit /readyz often; the CW/PD checks are reused for this long
+const CACHE_MS = (Number(process.env.READY_CACHE_SECONDS) || 30) * 1000;
+
+let cached = null; // { result, expires }
+
+const failure = (err) => err.response?.data?.error?.message || err.response?.data?.message || err.message;
+
+// --- ConnectWise: credentials and reachability ---
+async function checkConnectWise() {
+  try {
+    const info = await getSystemInfo();
+    return { ok: true, version: info?.version || null };
+  } catch (err) {
+    return { ok: false, error: failure(err) };
+  }
+}
+
+// --- PagerDuty: credentials, plus every mapped service and priority exists ---
+async function checkPagerDuty() {
+  const { apiKey, apiUrl } = currentTenant().pagerduty;
+  if (!apiKey || !apiUrl) {
+    return pdMode() === "events"
+      ? { ok: true, skipped: "no REST API key in events mode" }
+      : { ok: false, error: "PagerDuty API key/URL not set" };
+  }
+
+  const problems = [];
+  try {
+    const { boards, priorities } = getMapping();
+    for (const [name, board] of Object.entries(boards)) {
+      if (board.service && !(await getService(board.service))) {
+        problems.push(`service ${board.service} (board "${name}") not found`);
+      }
+    }
+
+    const known = new Set((await listPriorities()).map((p) => p.id));
+    for (const p of priorities) {
+      if (p.pdPriorityId && !known.has(p.pdPriorityId)) problems.push(`priority ${p.pdPriorityId} (${p.code}) not found`);
+    }
+  } catch (err) {
+    return { ok: false, error: failure(err) };
+  }
+
+  return problems.length ? { ok: false, error: problems.join("; ") } : { ok: true };
+}
+
+// --- Everything needed to handle webhooks, for every tenant ---
+// Checks are named "connectwise" / "pagerduty" for the default tenant, "<tenant>.connectwise" … for others.
+exports.checkReadiness = async ({ fresh = false } = {}) => {
+  if (!fresh && cached && cached.expires > Date.now()) return cached.result;
+
+  const config = validateConfig();
+  const checks = {
+    config: config.errors.length ? { ok: false, error: config.errors } : { ok: true },
+  };
+  let tenants = [];
+  try {
+    tenants = listTenants();
+  } catch {
+    // unreadable tenants file: already reported by the config check
+  }
+  for (const { name } of tenants) {
+    const prefix = name === DEFAULT_TENANT ? "" : `${name}.`;
+    await runForTenant(name, async () => {
+      checks[`${prefix}connectwise`] = await checkConnectWise();
+      checks[`${prefix}pagerduty`] = await checkPagerDuty();
+    });
+  }
+  const result = {
+    ready: Object.values(checks).every((c) => c.ok),
+    checkedAt: new Date().toISOString(),
+    checks,
+  };
+
+  cached = { result, expires: Date.now() + CACHE_MS };
+  return result;
+};
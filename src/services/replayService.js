@@ -0,0 +1,82 @@
+// src/services/replayService.js
+const crypto = require("crypto");
+const { log } = require("../utils/logger");
+const { runWithContext, getContext } = require("../utils/context");
+const { SHADOW_MODE } = require("../utils/shadow");
+const { currentTenantName } = require("../config/tenants");
+const { recordEvent, getEvent } = require("../store/eventHistory");
+const { listJobs, listDeadLetters } = require("../queue/webhookQueue");
+const { handleConnectWiseEvent, describeConnectWiseEvent } = require("../handlers/connectwiseHandler");
+const { handlePagerDutyEvent, describePagerDutyEvent } = require("../handlers/pagerdutyHandler");
+
+// Same handlers the queue worker runs for /connectwise/webhook and /pagerduty/webhook
+const handlers = {
+  connectwise: { handle: handleConnectWiseEvent, describe: describeConnectWiseEvent },
+  pagerduty: { handle: handlePagerDutyEvent, describe: describePagerDutyEvent },
+};
+
+// --- Find the payload of a stored event ---
+// Queued and dead-lettered jobs still hold the original payload; processed events only
+// have the redacted copy from the event history.
+exports.findStoredPayload = (eventId) => {
+  const job = [...listJobs(), ...listDeadLetters()].find((j) => j.id === eventId);
+  if (job) return { source: job.source, payload: job.payload, redacted: false };
+
+  const event = getEvent(eventId);
+  if (event?.payload) return { source: event.source, payload: event.payload, redacted: true };
+  return null;
+};
+
+// --- Run a webhook payload through its handler ---
+// dryRun: reads from CW/PD still happen, writes (create incident, PATCH ticket, add note …)
+// and local store changes are simulated and returned as apiCalls with simulated: true.
+exports.replayEvent = async ({ source, payload, dryRun = false, replayOf = null }) => {
+  const handler = handlers[source];
+  if (!handler) throw new Error(`Unknown source "${source}" (expected "connectwise" or "pagerduty")`);
+
+  const id = crypto.randomUUID();
+  const details = { id, source, ...handler.describe(payload) };
+  const context = {
+    tenant: currentTenantName(),
+    correlationId: getContext()?.correlationId || id,
+    eventId: id,
+    source,
+    ticketId: details.ticketId || null,
+    incidentId: details.incidentId || null,
+    board: details.board || null,
+    service: details.service || null,
+    dryRun: dryRun || SHADOW_MODE,
+    apiCalls: [],
+  };
+
+  log(`⏪ Replaying ${source} webhook${replayOf ? ` ${replayOf}` : ""}${dryRun ? " (dry run)" : ""}`);
+
+  let result;
+  try {
+    result = await runWithContext(context, () => handler.handle(payload));
+  } catch (err) {
+    const reason = err.response?.data ? JSON.stringify(err.response.data) : err.message;
+    if (!dryRun) {
+      recordEvent({ ...details, payload, replayOf, outcome: "failed", reason, attempts: 1, apiCalls: context.apiCalls });
+    }
+    return { ...details, dryRun, replayOf, outcome: "failed", reason, apiCalls: context.apiCalls };
+  }
+
+  const outcome = {
+    ...details,
+    dryRun,
+    replayOf,
+    ticketId: result?.ticketId || details.ticketId || null,
+    incidentId: result?.incidentId || details.incidentId || null,
+    outcome: result?.outcome || "updated",
+    reason: result?.reason || null,
+    message: result?.message || null,
+    apiCalls: context.apiCalls,
+  };
+
+  if (!dryRun) {
+    const { dryRun: _dryRun, ...entry } = outcome;
+    recordEvent({ ...entry, payload, attempts: 1 });
+  }
+  return outcome;
+};
@@ -0,0 +1,87 @@
+// src/services/routingRules.js
+// Routing rules ("rules" in the mapping), checked in order; the first whose "match" fits the
+// ticket decides: "route" picks the PD service, priority, urgency and escalation policy,
+// "skip" doesn't page the ticket (with a reason). Tickets no rule matches are routed by board.
+//
+// Match values are compared without case; an array means any of them. "summary" takes regular
+// expressions, "businessHours" true / false (see the mapping's "businessHours").
+const { getTicketConfigurations } = require("./connectwiseService");
+const { getRoutingRules, getBusinessHours } = require("../config/mapping");
+
+// Ticket values each match field is compared with
+const TICKET_FIELDS = {
+  board: (t) => [t.board?.name],
+  company: (t) => [t.company?.name, t.company?.identifier],
+  type: (t) => [t.type?.name],
+  subType: (t) => [t.subType?.name],
+  item: (t) => [t.item?.name],
+  source: (t) => [t.source?.name],
+  contact: (t) => [t.contact?.name, t.contactName, t.contactEmailAddress],
+  priority: (t) => [t.priority?.name],
+  status: (t) => [t.status?.name],
+};
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// --- Is the time within business hours (in their time zone)? An end before the start spans midnight. ---
+function isBusinessHours({ timezone, days, start, end }, date) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone, weekday: "short", hour: "2-digit", minute: "2-digit", hourCycle: "h23" })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  const day = WEEKDAYS.find((d) => parts.weekday.toLowerCase().startsWith(d));
+  const time = `${parts.hour}:${parts.minute}`;
+  const inRange = start <= end ? time >= start && time < end : time >= start || time < end;
+  return days.includes(day) && inRange;
+}
+
+// --- What the rules can match on; configuration items are only fetched if a rule needs them ---
+async function ticketFacts(ticket, rules, now) {
+  const facts = {};
+  for (const [field, values] of Object.entries(TICKET_FIELDS)) facts[field] = values(ticket).filter(Boolean);
+  facts.summary = (ticket.summary || "").replace(/\s+/g, " ").trim();
+
+  if (rules.some((r) => r.match && "configurationItem" in r.match)) {
+    const configurations = ticket.id ? await getTicketConfigurations(ticket.id) : [];
+    facts.configurationItem = configurations.flatMap((c) => [c.deviceIdentifier, c.name]).filter(Boolean);
+  }
+  const hours = getBusinessHours();
+  if (hours) facts.businessHours = isBusinessHours(hours, now);
+  return facts;
+}
+
+// Match fields of the rule that the ticket doesn't meet ([] when the rule matches)
+function mismatches(rule, facts) {
+  return Object.entries(rule.match || {})
+    .filter(([field, expected]) => {
+      if (field === "businessHours") return facts.businessHours !== expected;
+      if (field === "summary") return ![].concat(expected).some((re) => new RegExp(re, "i").test(facts.summary));
+      const actual = (facts[field] || []).map((v) => String(v).toLowerCase());
+      return ![].concat(expected).some((v) => actual.includes(v.toLowerCase()));
+    })
+    .map(([field]) => field);
+}
+
+// --- The first rule matching the ticket: { index, name, rule }, or null ---
+exports.findMatchingRule = async (ticket, { now = new Date() } = {}) => {
+  const rules = getRoutingRules();
+  if (rules.length === 0) return null;
+
+  const facts = await ticketFacts(ticket, rules, now);
+  const index = rules.findIndex((rule) => mismatches(rule, facts).length === 0);
+  return index === -1 ? null : { index, name: rules[index].name, rule: rules[index] };
+};
+
+// --- Every rule against the ticket, for the rule test endpoint ---
+// Returns { matched: { index, name } or null, rules: [{ index, name, matched, mismatched }] }
+exports.explainRules = async (ticket, { now = new Date() } = {}) => {
+  const rules = getRoutingRules();
+  const facts = await ticketFacts(ticket, rules, now);
+  const results = rules.map((rule, index) => {
+    const mismatched = mismatches(rule, facts);
+    return { index, name: rule.name, matched: mismatched.length === 0, mismatched };
+  });
+  const first = results.find((r) => r.matched);
+  return { matched: first ? { index: first.index, name: first.name } : null, rules: results };
+};
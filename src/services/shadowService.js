@@ -0,0 +1,108 @@
+// src/services/shadowService.js
+const axios = require("axios");
+const { queryEvents } = require("../store/eventHistory");
+const { SHADOW_MODE } = require("../utils/shadow");
+const { currentTenantName, DEFAULT_TENANT } = require("../config/tenants");
+const { endpointFor } = require("../utils/apiCallTracker");
+
+// The instance this one shadows, and its ADMIN_TOKEN
+const LIVE_URL = process.env.SHADOW_LIVE_URL;
+const LIVE_TOKEN = process.env.SHADOW_LIVE_ADMIN_TOKEN;
+
+// Finished events only: queued/retrying ones have no result to compare yet
+const FINAL_OUTCOMES = ["created", "updated", "skipped", "failed"];
+
+// Writes ("POST pagerduty /incidents/Q2W3E4R5/notes") by endpoint: the shadow's simulated
+// writes carry placeholder IDs, and the two instances never create the same CW/PD records
+const writeEndpoint = (write) => {
+  const [method, system, path] = write.split(" ");
+  return `${method} ${system} ${endpointFor(path || "")}`;
+};
+
+const decision = (e) => ({
+  outcome: e.outcome,
+  reason: e.reason || null,
+  incidentId: e.incidentId || null,
+  writes: (e.writes || []).map(writeEndpoint),
+});
+
+const sameDecision = (a, b) =>
+  a.outcome === b.outcome && a.reason === b.reason && JSON.stringify(a.writes) === JSON.stringify(b.writes);
+
+// Events by event ID (the PD event ID, or the body hash for CW), first entry per ID
+function byEventId(events) {
+  const map = new Map();
+  for (const e of events) {
+    if (e.eventId && FINAL_OUTCOMES.includes(e.outcome) && !map.has(e.eventId)) map.set(e.eventId, e);
+  }
+  return map;
+}
+
+// The same tenant's events on the live instance
+async function fetchLiveEvents({ from, to, limit }) {
+  const tenant = currentTenantName();
+  const prefix = tenant === DEFAULT_TENANT ? "" : `/t/${tenant}`;
+  const res = await axios.get(`${LIVE_URL.replace(/\/$/, "")}${prefix}/admin/events`, {
+    params: { from, to, limit },
+    headers: { Authorization: `Bearer ${LIVE_TOKEN}` },
+  });
+  return res.data?.events || [];
+}
+
+// --- Compare two lists of event history entries (summary rows, with writes) ---
+// Events are matched on event ID; decisions differ when the outcome, skip reason or the
+// writes (method, system, endpoint) differ.
+exports.compareEvents = (shadowEvents, liveEvents) => {
+  const shadow = byEventId(shadowEvents);
+  const live = byEventId(liveEvents);
+
+  const summary = {
+    matched: 0,
+    agreed: 0,
+    differences: [],
+    onlyShadow: [],
+    onlyLive: [],
+  };
+
+  for (const [eventId, s] of shadow) {
+    const l = live.get(eventId);
+    if (!l) {
+      summary.onlyShadow.push({ eventId, source: s.source, eventType: s.eventType, ticketId: s.ticketId || null });
+      continue;
+    }
+
+    summary.matched++;
+    const shadowDecision = decision(s);
+    const liveDecision = decision(l);
+    if (sameDecision(shadowDecision, liveDecision)) {
+      summary.agreed++;
+    } else {
+      summary.differences.push({
+        eventId,
+        source: s.source,
+        eventType: s.eventType,
+        ticketId: s.ticketId || l.ticketId || null,
+        shadow: shadowDecision,
+        live: liveDecision,
+      });
+    }
+  }
+
+  for (const [eventId, l] of live) {
+    if (!shadow.has(eventId)) {
+      summary.onlyLive.push({ eventId, source: l.source, eventType: l.eventType, ticketId: l.ticketId || null });
+    }
+  }
+
+  return summary;
+};
+
+// --- What this shadow instance would have done vs. what the live instance did ---
+exports.compareWithLive = async ({ from, to, limit = 1000 } = {}) => {
+  if (!SHADOW_MODE) throw new Error("This instance is not running in shadow mode");
+  if (!LIVE_URL || !LIVE_TOKEN) throw new Error("SHADOW_LIVE_URL and SHADOW_LIVE_ADMIN_TOKEN are required");
+
+  const shadowEvents = queryEvents({ from, to, limit });
+  const liveEvents = await fetchLiveEvents({ from, to, limit });
+  return { from: from || null, to: to || null, ...exports.compareEvents(shadowEvents, liveEvents) };
+};
@@ -0,0 +1,88 @@
+// src/services/timeEntries.js
+// CW time entries from PD incident response: when an incident is resolved, every responder who
+// acknowledged it gets a time entry on the ticket, from their acknowledgement to the resolve.
+// Opt-in per board ("timeEntries" in the mapping: work type and billable flag).
+const { log } = require("../utils/logger");
+const { isSimulated } = require("../utils/shadow");
+const { addTimeEntry } = require("./connectwiseService");
+const { getIncidentLogEntries } = require("./pagerdutyService");
+const { cwMemberForPdUser } = require("./memberMapper");
+const { getTimeEntryConfig } = require("../config/mapping");
+const { getSyncState, updateSyncState } = require("../store/linkStore");
+const { currentTenant } = require("../config/tenants");
+const metrics = require("../utils/metrics");
+
+// Shorter responses (e.g. acknowledged and resolved in one go) aren't worth an entry
+const MIN_DURATION_MS = 60 * 1000;
+
+// --- Each responder's acknowledge → resolve span, for the incident's latest resolve ---
+// After a reopen only the acknowledgements since the previous resolve count.
+// logEntries: oldest first. Returns { resolved: log entry or null, spans: [{ user, start, end }] }
+function responseSpans(logEntries) {
+  const resolves = logEntries.filter((e) => e.type === "resolve_log_entry");
+  const resolved = resolves[resolves.length - 1];
+  if (!resolved) return { resolved: null, spans: [] };
+
+  const previous = resolves[resolves.length - 2];
+  const from = previous ? Date.parse(previous.created_at) : -Infinity;
+  const end = Date.parse(resolved.created_at);
+
+  const firstAck = new Map(); // PD user ID → { user, start }
+  for (const entry of logEntries) {
+    const at = Date.parse(entry.created_at);
+    if (entry.type !== "acknowledge_log_entry" || at <= from || at > end) continue;
+    const user = entry.agent?.type === "user_reference" ? entry.agent : null;
+    if (user && !firstAck.has(user.id)) firstAck.set(user.id, { user, start: at });
+  }
+  return { resolved, spans: [...firstAck.values()].map(({ user, start }) => ({ user, start, end })) };
+}
+
+// --- Log the responders' time on the ticket once the incident is resolved ---
+// Each resolve is logged once (a redelivered webhook adds nothing), and each responder once per
+// resolve: a retry after a failed entry only logs the ones still missing. Returns the entries logged.
+exports.logResponseTime = async (ticketId, incidentId, boardName) => {
+  const config = getTimeEntryConfig(boardName);
+  if (!config) return [];
+  if (!currentTenant().pagerduty.apiKey) {
+    log(`⏱️ No time logged on Ticket #${ticketId} — reading the incident log needs a PagerDuty REST API key`);
+    return [];
+  }
+
+  const { resolved, spans } = responseSpans(await getIncidentLogEntries(incidentId));
+  const syncState = getSyncState(ticketId);
+  if (!resolved || syncState.timeLoggedFor === resolved.id) return [];
+  const done = syncState.timeLogging?.resolveId === resolved.id ? syncState.timeLogging.pdUserIds : [];
+
+  const logged = [];
+  for (const { user, start, end } of spans.filter((s) => !done.includes(s.user.id))) {
+    const name = user.summary || user.id;
+    if (end - start < MIN_DURATION_MS) {
+      log(`⏱️ ${name} responded to incident ${incidentId} for less than a minute — no time logged`);
+      continue;
+    }
+    const member = await cwMemberForPdUser(user.id);
+    if (!member) {
+      log(`⏱️ No CW member for ${name} (PD user ${user.id}) — no time logged on Ticket #${ticketId}`);
+      continue;
+    }
+
+    const minutes = Math.round((end - start) / 60000);
+    await addTimeEntry(ticketId, {
+      member,
+      timeStart: new Date(start),
+      timeEnd: new Date(end),
+      workType: config.workType,
+      billable: config.billable,
+      notes: `PagerDuty incident ${incidentId}: acknowledged by ${name}, resolved ${minutes} min later`,
+    });
+    logged.push({ member, pdUserId: user.id, minutes });
+    updateSyncState(ticketId, { timeLogging: { resolveId: resolved.id, pdUserIds: [...done, ...logged.map((e) => e.pdUserId)] } });
+  }
+
+  updateSyncState(ticketId, { timeLoggedFor: resolved.id, timeLogging: null });
+  if (logged.length > 0) {
+    if (!isSimulated()) metrics.timeEntries.inc({ board: boardName }, logged.length);
+    log(`⏱️ Logged ${logged.map((e) => `${e.minutes} min for ${e.member}`).join(", ")} on Ticket #${ticketId}`);
+  }
+  return logged;
+};
@@ -0,0 +1,323 @@
+// src/simulator/fakeConnectWise.js
+// In-memory stand-in for the parts of the ConnectWise Manage API the service uses
+// (tickets, notes, members, schedule entries, time entries, system info), plus ticket callbacks.
+const express = require("express");
+
+// --- CW "conditions": field="text", field = true/false, field in ("a","b"), field >= [date] ---
+function fieldValue(record, field) {
+  return field.split("/").reduce((value, key) => value?.[key], record);
+}
+
+function matchesConditions(record, conditions) {
+  if (!conditions) return true;
+  return conditions.split(/\s+and\s+/i).every((clause) => {
+    let m;
+    if ((m = clause.match(/^\s*([\w/]+)\s*=\s*"(.*)"\s*$/))) {
+      return String(fieldValue(record, m[1]) ?? "").toLowerCase() === m[2].toLowerCase();
+    }
+    if ((m = clause.match(/^\s*([\w/]+)\s*=\s*(true|false)\s*$/i))) {
+      return Boolean(fieldValue(record, m[1])) === (m[2].toLowerCase() === "true");
+    }
+    if ((m = clause.match(/^\s*([\w/]+)\s+in\s+\((.*)\)\s*$/i))) {
+      const values = [...m[2].matchAll(/"([^"]*)"/g)].map(([, v]) => v);
+      return values.includes(fieldValue(record, m[1]));
+    }
+    if ((m = clause.match(/^\s*([\w/]+)\s*(>=|<=)\s*\[(.*)\]\s*$/))) {
+      const field = m[1] === "dateEntered" ? "_info/dateEntered" : m[1];
+      const value = Date.parse(fieldValue(record, field));
+      return m[2] === ">=" ? value >= Date.parse(m[3]) : value <= Date.parse(m[3]);
+    }
+    throw new Error(`Unsupported condition: ${clause}`);
+  });
+}
+
+// Page the way CW does: page/pageSize, with a Link rel="next" header when there is more
+function sendPage(req, res, records) {
+  const page = Number(req.query.page) || 1;
+  const pageSize = Number(req.query.pageSize) || 25;
+  const start = (page - 1) * pageSize;
+  if (start + pageSize < records.length) {
+    const next = new URL(req.originalUrl, `http://${req.get("host")}`);
+    next.searchParams.set("page", page + 1);
+    next.searchParams.set("pageSize", pageSize);
+    res.set("Link", `<${next}>; rel="next"`);
+  }
+  res.json(records.slice(start, start + pageSize));
+}
+
+const notFound = (res, what) => res.status(404).json({ code: "NotFound", message: `${what} not found` });
+
+// members: [{ identifier, officeEmail, name }]; companies: [{ id, name }]
+exports.createFakeConnectWise = ({ codebase = "v2025_1", members = [], companies = [] } = {}) => {
+  const tickets = new Map(); // id → ticket
+  const notes = new Map(); // ticket id → [note]
+  const configurations = new Map(); // ticket id → [configuration]
+  const scheduleEntries = [];
+  const timeEntries = [];
+  const requests = []; // every API call, for assertions: { method, path, query, body, company }
+  let nextTicketId = 500000;
+  let nextNoteId = 1;
+  let pending = 0;
+
+  const fake = {
+    webhookUrl: null, // where ticket callbacks go, e.g. http://127.0.0.1:3000/connectwise/webhook?token=…
+    tickets,
+    notes,
+    scheduleEntries,
+    timeEntries,
+    requests,
+    get pendingDeliveries() {
+      return pending;
+    },
+  };
+
+  const now = () => new Date().toISOString();
+
+  function addNote(ticketId, { text, detailDescriptionFlag = false, internalAnalysisFlag = false, resolutionFlag = false, member = null }) {
+    const note = {
+      id: nextNoteId++,
+      ticketId: Number(ticketId),
+      text,
+      detailDescriptionFlag,
+      internalAnalysisFlag,
+      resolutionFlag,
+      ...(member && { member }),
+      createdBy: member?.identifier || "simulator",
+      dateCreated: now(),
+    };
+    notes.get(Number(ticketId)).push(note);
+    return note;
+  }
+
+  // JSON Patch "replace" ops, as sent by updateTicket
+  function applyPatch(ticket, ops) {
+    for (const { op, path, value } of ops) {
+      if (op !== "replace") throw new Error(`Unsupported patch op: ${op}`);
+      ticket[path.replace(/^\//, "")] = value;
+    }
+    ticket._info.lastUpdated = now();
+  }
+
+  // --- Callbacks: what CW posts to the integration when a ticket changes ---
+  // webhookUrl: another callback URL than fake.webhookUrl (e.g. a tenant's)
+  fake.sendCallback = async (action, ticket, { token, webhookUrl = fake.webhookUrl } = {}) => {
+    if (!webhookUrl) throw new Error("fake ConnectWise has no webhookUrl to deliver to");
+    const url = new URL(webhookUrl);
+    if (token !== undefined) url.searchParams.set("token", token);
+    const body = {
+      Action: action,
+      Type: "Ticket",
+      ID: ticket.id,
+      MemberId: 0,
+      Entity: JSON.stringify(ticket),
+    };
+
+    pending++;
+    try {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      return { status: res.status, body: await res.json().catch(() => null), sent: body };
+    } finally {
+      pending--;
+    }
+  };
+
+  // --- Driving the fake from a scenario (what a technician would do in CW) ---
+  // Creates the ticket and sends its "added" callback.
+  fake.createTicket = async ({
+    summary,
+    board = "Technical Support",
+    priority = "1a - Emergency",
+    status = "New",
+    company = "Simulated Customer",
+    description = null,
+    owner = null,
+    type = null, // type / subType / item / source / contact names, e.g. for routing rules
+    subType = null,
+    item = null,
+    source = null,
+    contact = null,
+    configurationItems = [], // names of the configuration items attached to the ticket
+    respondByDate = null, // SLA targets
+    resolveByDate = null,
+    callback = true,
+  }) => {
+    const id = nextTicketId++;
+    const ticket = {
+      id,
+      summary,
+      board: { id: 1, name: board },
+      status: { id: 1, name: status },
+      priority: { id: 1, name: priority },
+      company: { id: 1, identifier: company.replace(/\W+/g, ""), name: company },
+      owner: owner ? { identifier: owner } : null,
+      type: type ? { id: 1, name: type } : null,
+      subType: subType ? { id: 1, name: subType } : null,
+      item: item ? { id: 1, name: item } : null,
+      source: source ? { id: 1, name: source } : null,
+      contact: contact ? { id: 1, name: contact } : null,
+      parentTicketId: null,
+      respondByDate,
+      resolveByDate,
+      dateResponded: null,
+      closedFlag: false,
+      _info: { dateEntered: now(), lastUpdated: now() },
+    };
+    tickets.set(id, ticket);
+    notes.set(id, []);
+    configurations.set(id, configurationItems.map((name, i) => ({ id: i + 1, deviceIdentifier: name })));
+    if (description) addNote(id, { text: description, detailDescriptionFlag: true });
+    if (callback) await fake.sendCallback("added", ticket);
+    return ticket;
+  };
+
+  // Changes fields ({ status: "Completed: Resolved" }, { owner: "jdoe" }, { parentTicketId } …) and sends "updated"
+  fake.updateTicket = async (id, changes, { callback = true, closed } = {}) => {
+    const ticket = tickets.get(Number(id));
+    if (!ticket) throw new Error(`No simulated ticket #${id}`);
+    if (changes.summary !== undefined) ticket.summary = changes.summary;
+    if (changes.status !== undefined) ticket.status = { id: 1, name: changes.status };
+    if (changes.priority !== undefined) ticket.priority = { id: 1, name: changes.priority };
+    if (changes.owner !== undefined) ticket.owner = changes.owner ? { identifier: changes.owner } : null;
+    if (changes.parentTicketId !== undefined) ticket.parentTicketId = changes.parentTicketId;
+    if (closed !== undefined) ticket.closedFlag = closed;
+    ticket._info.lastUpdated = now();
+    if (callback) await fake.sendCallback("updated", ticket);
+    return ticket;
+  };
+
+  fake.addNote = (ticketId, text, flags = {}) => addNote(ticketId, { text, ...flags });
+
+  fake.getTicket = (id) => tickets.get(Number(id)) || null;
+
+  fake.getNotes = (id) => notes.get(Number(id)) || [];
+
+  fake.getTimeEntries = (ticketId) => timeEntries.filter((e) => e.chargeToId === Number(ticketId));
+
+  // --- Make API calls fail, e.g. failNext("POST", /\/time\/entries$/, { skip: 1 }) for the second one ---
+  // (400 by default: the service's clients don't retry it, so the webhook job fails and is retried)
+  const failures = [];
+  fake.failNext = (method, path, { status = 400, times = 1, skip = 0 } = {}) => {
+    failures.push({ method, path, status, times, skip });
+  };
+
+  // --- The REST API ---
+  const app = express();
+  const api = express.Router();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    // Any credentials are accepted; the company ("<company>+<public key>") shows whose they were
+    const basic = Buffer.from((req.get("authorization") || "").replace(/^Basic\s+/i, ""), "base64").toString();
+    requests.push({ method: req.method, path: req.path, query: req.query, body: req.body, company: basic.split("+")[0] });
+    next();
+  });
+  app.use((req, res, next) => {
+    const failure = failures.find((f) => f.method === req.method && f.path.test(req.path) && f.times > 0);
+    if (!failure || failure.skip-- > 0) return next();
+    failure.times--;
+    res.status(failure.status).json({ code: "SimulatedFailure", message: "Failure injected by the simulator" });
+  });
+  app.use(`/${codebase}/apis/3.0`, api);
+
+  api.get("/system/info", (req, res) => res.json({ version: "v2025.1.simulated", isCloud: true, serverTimeZone: "UTC" }));
+
+  api.get("/company/companies", (req, res) => sendPage(req, res, companies.filter((c) => matchesConditions(c, req.query.conditions))));
+
+  api.get("/system/members", (req, res) =>
+    sendPage(req, res, members.filter((m) => matchesConditions({ inactiveFlag: false, ...m }, req.query.conditions)))
+  );
+
+  api.get("/service/tickets", (req, res) =>
+    sendPage(req, res, [...tickets.values()].filter((t) => matchesConditions(t, req.query.conditions)))
+  );
+
+  api.post("/service/tickets", (req, res) => {
+    const id = nextTicketId++;
+    const ticket = {
+      id,
+      summary: req.body.summary,
+      board: req.body.board,
+      status: req.body.status,
+      priority: req.body.priority,
+      company: req.body.company,
+      owner: null,
+      closedFlag: false,
+      _info: { dateEntered: now(), lastUpdated: now() },
+    };
+    tickets.set(id, ticket);
+    notes.set(id, []);
+    if (req.body.initialDescription) addNote(id, { text: req.body.initialDescription, detailDescriptionFlag: true });
+    res.status(201).json(ticket);
+  });
+
+  api.get("/service/tickets/:id", (req, res) => {
+    const ticket = tickets.get(Number(req.params.id));
+    if (!ticket) return notFound(res, `Ticket ${req.params.id}`);
+    res.json(ticket);
+  });
+
+  api.patch("/service/tickets/:id", (req, res) => {
+    const ticket = tickets.get(Number(req.params.id));
+    if (!ticket) return notFound(res, `Ticket ${req.params.id}`);
+    try {
+      applyPatch(ticket, req.body);
+    } catch (err) {
+      return res.status(400).json({ code: "InvalidObject", message: err.message });
+    }
+    res.json(ticket);
+  });
+
+  api.post("/service/tickets/:id/attachChildren", (req, res) => {
+    const parent = tickets.get(Number(req.params.id));
+    if (!parent) return notFound(res, `Ticket ${req.params.id}`);
+    const children = (req.body.childTicketIds || []).map((id) => tickets.get(Number(id)));
+    if (children.some((child) => !child)) return notFound(res, "Child ticket");
+    for (const child of children) {
+      child.parentTicketId = parent.id;
+      child._info.lastUpdated = now();
+    }
+    parent.hasChildTicket = true;
+    res.json({ successFlag: true });
+  });
+
+  api.get("/service/tickets/:id/configurations", (req, res) => {
+    if (!tickets.has(Number(req.params.id))) return notFound(res, `Ticket ${req.params.id}`);
+    sendPage(req, res, configurations.get(Number(req.params.id)) || []);
+  });
+
+  api.get("/service/tickets/:id/notes", (req, res) => {
+    const list = notes.get(Number(req.params.id));
+    if (!list) return notFound(res, `Ticket ${req.params.id}`);
+    sendPage(req, res, list);
+  });
+
+  api.post("/service/tickets/:id/notes", (req, res) => {
+    if (!tickets.has(Number(req.params.id))) return notFound(res, `Ticket ${req.params.id}`);
+    res.status(201).json(addNote(req.params.id, req.body));
+  });
+
+  api.post("/schedule/entries", (req, res) => {
+    const entry = { id: scheduleEntries.length + 1, ...req.body };
+    scheduleEntries.push(entry);
+    res.status(201).json(entry);
+  });
+
+  api.post("/time/entries", (req, res) => {
+    const { chargeToId, chargeToType, timeStart, timeEnd } = req.body;
+    if (chargeToType === "ServiceTicket" && !tickets.has(Number(chargeToId))) return notFound(res, `Ticket ${chargeToId}`);
+    if (!(Date.parse(timeEnd) > Date.parse(timeStart))) {
+      return res.status(400).json({ code: "InvalidObject", message: "timeEnd must be after timeStart" });
+    }
+    const entry = { id: timeEntries.length + 1, ...req.body, actualHours: (Date.parse(timeEnd) - Date.parse(timeStart)) / 3600000 };
+    timeEntries.push(entry);
+    res.status(201).json(entry);
+  });
+
+  app.use((req, res) => notFound(res, `${req.method} ${req.path}`));
+
+  fake.app = app;
+  return fake;
+};
@@ -0,0 +1,468 @@
+// src/simulator/fakePagerDuty.js
+// In-memory stand-in for the PagerDuty REST API (incidents, notes, log entries, services, priorities, users),
+// the Events API v2, and the signed v3 webhooks PagerDuty sends back.
+const crypto = require("crypto");
+const express = require("express");
+
+const newId = (prefix = "Q") => `${prefix}${crypto.randomBytes(6).toString("hex").toUpperCase()}`;
+
+// services:   [{ id, name, webhookSecret, integrationKey, webhookUrl }] (webhookUrl: instead of fake.webhookUrl)
+// priorities: [{ id, name }]
+// users:      [{ id, name, email }]
+exports.createFakePagerDuty = ({ services = [], priorities = [], users = [] } = {}) => {
+  const incidents = new Map(); // id → incident
+  const incidentNotes = new Map(); // incident id → [note]
+  const logEntries = new Map(); // incident id → [log entry], oldest first
+  const webhooks = []; // every delivery: { eventType, incidentId, status, body }
+  const requests = []; // every API call, for assertions: { method, path, query, body, apiKey }
+  let nextNumber = 1;
+  let pending = 0;
+
+  const fake = {
+    webhookUrl: null, // e.g. http://127.0.0.1:3000/pagerduty/webhook
+    incidents,
+    incidentNotes,
+    logEntries,
+    webhooks,
+    requests,
+    // Turn off to deliver webhooks by hand (fake.emit) only
+    autoWebhooks: true,
+    get pendingDeliveries() {
+      return pending;
+    },
+  };
+
+  const now = () => new Date().toISOString();
+  const serviceById = (id) => services.find((s) => s.id === id);
+  const userRef = (user) => ({ id: user.id, type: "user_reference", summary: user.name });
+  const userById = (id) => users.find((u) => u.id === id);
+  const incidentRef = (incident) => ({ id: incident.id, type: "incident_reference", html_url: incident.html_url });
+
+  // --- v3 webhook payload, as PagerDuty sends it ---
+  function webhookData(incident) {
+    return {
+      id: incident.id,
+      type: "incident",
+      self: `https://api.pagerduty.com/incidents/${incident.id}`,
+      html_url: incident.html_url,
+      number: incident.incident_number,
+      status: incident.status,
+      incident_key: incident.incident_key,
+      created_at: incident.created_at,
+      title: incident.title,
+      service: incident.service,
+      assignees: incident.assignments.map((a) => a.assignee),
+      escalation_policy: incident.escalation_policy,
+      teams: [],
+      priority: incident.priority,
+      urgency: incident.urgency,
+      conference_bridge: null,
+      resolve_reason: incident.resolve_reason || null,
+    };
+  }
+
+  // Send one webhook; secret overrides the service's (e.g. to test a bad signature).
+  // data: the event's data instead of the incident (events about a responder, a status update …)
+  fake.emit = async (eventType, incident, { agent = null, note = null, data: eventData, secret, eventId } = {}) => {
+    const service = serviceById(incident.service.id);
+    const webhookUrl = service?.webhookUrl || fake.webhookUrl;
+    if (!webhookUrl) throw new Error("fake PagerDuty has no webhookUrl to deliver to");
+    const data =
+      eventData ||
+      (note
+        ? { incident: incidentRef(incident), id: note.id, content: note.content, trimmed: false, type: "incident_note" }
+        : webhookData(incident));
+    const body = {
+      event: {
+        id: eventId || newId("01"),
+        event_type: eventType,
+        resource_type: "incident",
+        occurred_at: now(),
+        agent: agent ? userRef(agent) : null,
+        client: null,
+        data,
+      },
+    };
+    const raw = JSON.stringify(body);
+    const key = secret ?? service?.webhookSecret ?? "";
+    const signature = `v1=${crypto.createHmac("sha256", key).update(raw).digest("hex")}`;
+
+    pending++;
+    try {
+      const res = await fetch(webhookUrl, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-PagerDuty-Signature": signature,
+          "X-Webhook-Id": newId("W"),
+        },
+        body: raw,
+      });
+      const delivery = { eventType, incidentId: incident.id, status: res.status, body, response: await res.json().catch(() => null) };
+      webhooks.push(delivery);
+      return delivery;
+    } finally {
+      pending--;
+    }
+  };
+
+  // PagerDuty sends webhooks for changes made through the API too; deliver them after the response
+  function emitLater(eventType, incident, options) {
+    if (!fake.autoWebhooks || !fake.webhookUrl) return;
+    pending++;
+    setImmediate(() =>
+      fake
+        .emit(eventType, structuredClone(incident), options)
+        .catch(() => {})
+        .finally(() => pending--)
+    );
+  }
+
+  const LOG_ENTRY_TYPES = {
+    triggered: "trigger_log_entry",
+    acknowledged: "acknowledge_log_entry",
+    resolved: "resolve_log_entry",
+    assigned: "assign_log_entry",
+  };
+
+  function addLogEntry(incident, action, agent) {
+    logEntries.get(incident.id).push({
+      id: newId("R"),
+      type: LOG_ENTRY_TYPES[action],
+      created_at: now(),
+      agent: agent ? userRef(agent) : null,
+      incident: incidentRef(incident),
+    });
+  }
+
+  function createIncident({ title, serviceId, urgency = "high", priorityId = null, escalationPolicyId = null, incidentKey, details }) {
+    const service = serviceById(serviceId);
+    if (!service) return null;
+    const priority = priorities.find((p) => p.id === priorityId);
+    const id = newId("Q");
+    const incident = {
+      id,
+      type: "incident",
+      incident_number: nextNumber++,
+      title,
+      summary: `[#${nextNumber - 1}] ${title}`,
+      status: "triggered",
+      incident_key: incidentKey || newId("K"),
+      urgency,
+      service: { id: service.id, type: "service_reference", summary: service.name },
+      priority: priority ? { id: priority.id, type: "priority", summary: priority.name } : null,
+      assignments: [],
+      escalation_policy: escalationPolicyId
+        ? { id: escalationPolicyId, type: "escalation_policy_reference", summary: escalationPolicyId }
+        : { id: "PSIMEP1", type: "escalation_policy_reference", summary: "Simulated policy" },
+      body: { type: "incident_body", details: details || "" },
+      created_at: now(),
+      last_status_change_at: now(),
+      html_url: `https://simulated.pagerduty.com/incidents/${id}`,
+    };
+    incidents.set(id, incident);
+    incidentNotes.set(id, []);
+    logEntries.set(id, []);
+    addLogEntry(incident, "triggered", null);
+    emitLater("incident.triggered", incident);
+    return incident;
+  }
+
+  // Like PagerDuty, more responders can acknowledge an incident that is already acknowledged
+  function setStatus(incident, status, agent) {
+    if (incident.status === "resolved") return;
+    const alsoAcknowledging =
+      status === "acknowledged" && agent && !(incident.acknowledgements || []).some((a) => a.acknowledger.id === agent.id);
+    if (incident.status === status && !alsoAcknowledging) return;
+    if (incident.status !== status) incident.last_status_change_at = now();
+    incident.status = status;
+    if (status === "acknowledged" && agent) {
+      incident.acknowledgements = [...(incident.acknowledgements || []), { at: now(), acknowledger: userRef(agent) }];
+    }
+    addLogEntry(incident, status, agent);
+    emitLater(`incident.${status}`, incident, { agent });
+  }
+
+  // Back to triggered: "reopened" after a resolve, "unacknowledged" after an acknowledge (timed out)
+  function retrigger(incident, agent) {
+    if (incident.status === "triggered") return;
+    const eventType = incident.status === "resolved" ? "incident.reopened" : "incident.unacknowledged";
+    incident.status = "triggered";
+    incident.acknowledgements = [];
+    incident.last_status_change_at = now();
+    emitLater(eventType, incident, { agent });
+  }
+
+  // New assignees: reassigned (by hand), escalated (next level) or delegated (another escalation policy)
+  function assign(incident, userIds, eventType, agent, escalationPolicy) {
+    incident.assignments = [].concat(userIds).map((id) => {
+      const user = userById(id);
+      return { at: now(), assignee: user ? userRef(user) : { id, type: "user_reference" } };
+    });
+    if (escalationPolicy) incident.escalation_policy = escalationPolicy;
+    addLogEntry(incident, "assigned", agent);
+    emitLater(eventType, incident, { agent });
+  }
+
+  function setPriority(incident, priorityId, agent) {
+    const priority = priorities.find((p) => p.id === priorityId);
+    if (!priority) return false;
+    incident.priority = { id: priority.id, type: "priority", summary: priority.name };
+    emitLater("incident.priority_updated", incident, { agent });
+    return true;
+  }
+
+  // Sources are resolved with a merge resolve_reason pointing at the target
+  function merge(target, sources, agent) {
+    for (const source of sources) {
+      if (source.status === "resolved") continue;
+      source.resolve_reason = { type: "merge_resolve_reason", incident: incidentRef(target) };
+      setStatus(source, "resolved", agent);
+    }
+  }
+
+  function addNote(incident, content, user) {
+    const note = { id: newId("P"), content, created_at: now(), user: user ? userRef(user) : null };
+    incidentNotes.get(incident.id).push(note);
+    emitLater("incident.annotated", incident, { agent: user, note });
+    return note;
+  }
+
+  // --- Driving the fake from a scenario (what a responder would do in PagerDuty) ---
+  fake.acknowledge = (incidentId, user = users[0]) => setStatus(fake.getIncident(incidentId), "acknowledged", user);
+  fake.resolve = (incidentId, user = users[0]) => setStatus(fake.getIncident(incidentId), "resolved", user);
+  fake.addNote = (incidentId, content, user = users[0]) => addNote(fake.getIncident(incidentId), content, user);
+  fake.reopen = (incidentId, user = users[0]) => retrigger(fake.getIncident(incidentId), user);
+  fake.unacknowledge = (incidentId) => retrigger(fake.getIncident(incidentId), null);
+  fake.reassign = (incidentId, userIds, user = users[0]) =>
+    assign(fake.getIncident(incidentId), userIds, "incident.reassigned", user);
+  fake.escalate = (incidentId, userIds) => assign(fake.getIncident(incidentId), userIds, "incident.escalated", null);
+  fake.delegate = (incidentId, userIds, escalationPolicyName, user = users[0]) =>
+    assign(fake.getIncident(incidentId), userIds, "incident.delegated", user, {
+      id: "PSIMEP2",
+      type: "escalation_policy_reference",
+      summary: escalationPolicyName,
+    });
+  fake.setPriority = (incidentId, priorityId, user = users[0]) => setPriority(fake.getIncident(incidentId), priorityId, user);
+  fake.merge = (targetId, sourceIds, user = users[0]) =>
+    merge(fake.getIncident(targetId), [].concat(sourceIds).map(fake.getIncident), user);
+  fake.addResponder = (incidentId, userId, message, user = users[0]) => {
+    const incident = fake.getIncident(incidentId);
+    const data = { incident: incidentRef(incident), user: userRef(userById(userId)), message, state: "pending", type: "incident_responder" };
+    emitLater("incident.responder.added", incident, { agent: user, data });
+  };
+  fake.publishStatusUpdate = (incidentId, message, user = users[0]) => {
+    const incident = fake.getIncident(incidentId);
+    const data = { id: newId("SU"), message, incident: incidentRef(incident), type: "status_update" };
+    emitLater("incident.status_update_published", incident, { agent: user, data });
+  };
+
+  fake.getIncident = (id) => {
+    const incident = incidents.get(id);
+    if (!incident) throw new Error(`No simulated incident ${id}`);
+    return incident;
+  };
+
+  fake.getNotes = (id) => incidentNotes.get(id) || [];
+
+  // The incident's log (oldest first); a scenario can move entries back in time (created_at)
+  fake.getLogEntries = (id) => logEntries.get(id) || [];
+
+  fake.findIncidents = (incidentKey) => [...incidents.values()].filter((i) => i.incident_key === incidentKey);
+
+  // --- Make API calls fail, e.g. failNext("POST", /\/notes$/, { skip: 1 }) for the second one ---
+  // (400 by default: the service's clients don't retry it, so the webhook job fails and is retried)
+  const failures = [];
+  fake.failNext = (method, path, { status = 400, times = 1, skip = 0 } = {}) => {
+    failures.push({ method, path, status, times, skip });
+  };
+
+  // --- The REST API ---
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    // Any API key is accepted; it's kept to show whose it was
+    const apiKey = (req.get("authorization") || "").replace(/^Token token=/, "");
+    requests.push({ method: req.method, path: req.path, query: req.query, body: req.body, apiKey });
+    next();
+  });
+  app.use((req, res, next) => {
+    const failure = failures.find((f) => f.method === req.method && f.path.test(req.path) && f.times > 0);
+    if (!failure || failure.skip-- > 0) return next();
+    failure.times--;
+    res.status(failure.status).json({ error: { message: "Failure injected by the simulator", code: 2001 } });
+  });
+
+  const notFound = (res, what) => res.status(404).json({ error: { message: `${what} Not Found`, code: 2100 } });
+  const userFromHeader = (req) => users.find((u) => u.email === req.get("From")) || null;
+
+  app.get("/incidents", (req, res) => {
+    const statuses = [].concat(req.query.statuses || []);
+    const serviceIds = [].concat(req.query.service_ids || []);
+    const limit = Number(req.query.limit) || 25;
+    const offset = Number(req.query.offset) || 0;
+    const since = req.query.since ? Date.parse(req.query.since) : null;
+    const until = req.query.until ? Date.parse(req.query.until) : null;
+
+    const matching = [...incidents.values()]
+      .filter((i) => {
+        if (req.query.incident_key && i.incident_key !== req.query.incident_key) return false;
+        // Like PagerDuty: without statuses or a date range, only open incidents are listed
+        if (statuses.length ? !statuses.includes(i.status) : !req.query.incident_key && i.status === "resolved") return false;
+        if (serviceIds.length && !serviceIds.includes(i.service.id)) return false;
+        if (since && Date.parse(i.created_at) < since) return false;
+        if (until && Date.parse(i.created_at) > until) return false;
+        return true;
+      })
+      .reverse(); // newest first
+
+    res.json({
+      incidents: matching.slice(offset, offset + limit),
+      limit,
+      offset,
+      more: offset + limit < matching.length,
+      total: null,
+    });
+  });
+
+  app.post("/incidents", (req, res) => {
+    const body = req.body.incident || {};
+    if (body.incident_key) {
+      const open = fake.findIncidents(body.incident_key).find((i) => i.status !== "resolved");
+      if (open) {
+        return res.status(400).json({
+          error: { message: "Invalid Input Provided", code: 2001, errors: ["Open incident with matching dedup key already exists on this service"] },
+        });
+      }
+    }
+    const incident = createIncident({
+      title: body.title,
+      serviceId: body.service?.id,
+      urgency: body.urgency,
+      priorityId: body.priority?.id,
+      escalationPolicyId: body.escalation_policy?.id,
+      incidentKey: body.incident_key,
+      details: body.body?.details,
+    });
+    if (!incident) return notFound(res, "Service");
+    res.status(201).json({ incident });
+  });
+
+  app.get("/incidents/:id", (req, res) => {
+    const incident = incidents.get(req.params.id);
+    if (!incident) return notFound(res, "Incident");
+    res.json({ incident });
+  });
+
+  app.put("/incidents/:id", (req, res) => {
+    const incident = incidents.get(req.params.id);
+    if (!incident) return notFound(res, "Incident");
+    const body = req.body.incident || {};
+
+    if (body.assignments) {
+      assign(incident, body.assignments.map(({ assignee }) => assignee.id), "incident.reassigned", userFromHeader(req));
+    }
+    if (body.title) incident.title = body.title;
+    if (body.urgency) incident.urgency = body.urgency;
+    if (body.priority && body.priority.id !== incident.priority?.id) {
+      if (!setPriority(incident, body.priority.id, userFromHeader(req))) return notFound(res, "Priority");
+    }
+    if (body.status) setStatus(incident, body.status, userFromHeader(req));
+    res.json({ incident });
+  });
+
+  app.put("/incidents/:id/merge", (req, res) => {
+    const target = incidents.get(req.params.id);
+    if (!target) return notFound(res, "Incident");
+    const sources = (req.body.source_incidents || []).map(({ id }) => incidents.get(id));
+    if (sources.some((source) => !source)) return notFound(res, "Incident");
+    merge(target, sources, userFromHeader(req));
+    res.json({ incident: target });
+  });
+
+  app.post("/incidents/:id/responder_requests", (req, res) => {
+    const incident = incidents.get(req.params.id);
+    if (!incident) return notFound(res, "Incident");
+    const requester = users.find((u) => u.id === req.body.requester_id);
+    if (!requester) return res.status(400).json({ error: { message: "Invalid Input Provided", code: 2001, errors: ["Requester not found"] } });
+    const request = {
+      incident: { id: incident.id, type: "incident_reference" },
+      requester: userRef(requester),
+      requested_at: now(),
+      message: req.body.message,
+      responder_request_targets: req.body.responder_request_targets || [],
+    };
+    incident.responder_requests = [...(incident.responder_requests || []), request];
+    res.json({ responder_request: request });
+  });
+
+  app.get("/incidents/:id/notes", (req, res) => {
+    if (!incidents.has(req.params.id)) return notFound(res, "Incident");
+    res.json({ notes: incidentNotes.get(req.params.id) });
+  });
+
+  app.get("/incidents/:id/log_entries", (req, res) => {
+    if (!incidents.has(req.params.id)) return notFound(res, "Incident");
+    const limit = Number(req.query.limit) || 25;
+    const offset = Number(req.query.offset) || 0;
+    const entries = [...logEntries.get(req.params.id)].reverse(); // newest first
+    res.json({ log_entries: entries.slice(offset, offset + limit), limit, offset, more: offset + limit < entries.length, total: null });
+  });
+
+  app.post("/incidents/:id/notes", (req, res) => {
+    const incident = incidents.get(req.params.id);
+    if (!incident) return notFound(res, "Incident");
+    res.status(201).json({ note: addNote(incident, req.body.note?.content, userFromHeader(req)) });
+  });
+
+  app.get("/services/:id", (req, res) => {
+    const service = serviceById(req.params.id);
+    if (!service) return notFound(res, "Service");
+    res.json({ service: { id: service.id, type: "service", name: service.name, summary: service.name, status: "active" } });
+  });
+
+  app.get("/priorities", (req, res) =>
+    res.json({ priorities: priorities.map((p) => ({ id: p.id, type: "priority", name: p.name, summary: p.name })), more: false })
+  );
+
+  app.get("/users", (req, res) => {
+    const query = (req.query.query || "").toLowerCase();
+    const matching = users.filter((u) => !query || u.email.toLowerCase().includes(query) || u.name.toLowerCase().includes(query));
+    res.json({ users: matching.map((u) => ({ ...u, type: "user", summary: u.name })), more: false });
+  });
+
+  app.get("/users/:id", (req, res) => {
+    const user = users.find((u) => u.id === req.params.id);
+    if (!user) return notFound(res, "User");
+    res.json({ user: { ...user, type: "user", summary: user.name } });
+  });
+
+  // --- Events API v2: alerts grouped into one open incident per dedup_key ---
+  app.post("/v2/enqueue", (req, res) => {
+    const { routing_key: routingKey, event_action: action, dedup_key: dedupKey, payload } = req.body;
+    const service = services.find((s) => s.integrationKey === routingKey);
+    if (!service) return res.status(400).json({ status: "invalid event", message: "Invalid routing key" });
+
+    const key = dedupKey || newId("K");
+    const open = fake.findIncidents(key).find((i) => i.status !== "resolved");
+    if (action === "trigger" && !open) {
+      createIncident({
+        title: payload?.summary,
+        serviceId: service.id,
+        urgency: ["critical", "error"].includes(payload?.severity) ? "high" : "low",
+        incidentKey: key,
+        details: payload?.custom_details?.description,
+      });
+    } else if (open && action === "acknowledge") {
+      setStatus(open, "acknowledged", null);
+    } else if (open && action === "resolve") {
+      setStatus(open, "resolved", null);
+    }
+    res.status(202).json({ status: "success", message: "Event processed", dedup_key: key });
+  });
+
+  app.use((req, res) => notFound(res, `${req.method} ${req.path}`));
+
+  fake.app = app;
+  return fake;
+};
@@ -0,0 +1,91 @@
+// src/simulator/fixtures.js
+// The simulated tenants: PD services/priorities/users, CW members, and the env that points
+// the service at them. The mapping files (fixtures/mapping*.json) refer to these IDs.
+// Two service tenants share the fakes: "default" (from the env) and "acme" (fixtures/tenants.json).
+const path = require("path");
+
+exports.MAPPING_FILE = path.join(__dirname, "fixtures/mapping.json");
+exports.TENANTS_FILE = path.join(__dirname, "fixtures/tenants.json");
+
+exports.CW_CODEBASE = "v2025_1";
+exports.CW_WEBHOOK_TOKEN = "sim-cw-webhook-token";
+
+// The second tenant, as set in fixtures/tenants.json
+exports.acme = {
+  name: "acme",
+  cwCompanyId: "acme",
+  cwWebhookToken: "sim-acme-webhook-token",
+  pdApiKey: "acme-pd-key",
+  adminToken: "sim-acme-admin-token",
+  metricsToken: "sim-acme-metrics-token",
+  dashboard: { user: "acme-ops", password: "acme-ops-password" },
+};
+
+exports.services = [
+  { id: "PSIMTS1", name: "Technical Support", webhookSecret: "sim-secret-ts", integrationKey: "simroutingkeyts" },
+  { id: "PSIMSOC", name: "Security Operations Center", webhookSecret: "sim-secret-soc", integrationKey: "simroutingkeysoc" },
+  { id: "PSIMACME", name: "Acme Technical Support", webhookSecret: "sim-secret-acme", tenant: "acme" },
+];
+
+exports.priorities = [
+  { id: "PSIMP01", name: "P1" },
+  { id: "PSIMP02", name: "P2" },
+  { id: "PSIMP03", name: "P3" },
+  { id: "PSIMP04", name: "P4" },
+  { id: "PSIMP05", name: "P5" },
+];
+
+exports.pdUsers = [
+  { id: "PSIMU01", name: "Jane Doe", email: "jane.doe@example.com" },
+  { id: "PSIMU02", name: "Sam Roe", email: "sam.roe@example.com" },
+  // The service's own user (PD_USER_EMAIL), e.g. the requester of responder requests
+  { id: "PSIMU09", name: "ConnectWise Integration", email: "integration@example.com" },
+];
+
+exports.cwMembers = [
+  { id: 101, identifier: "jdoe", name: "Jane Doe", officeEmail: "jane.doe@example.com" },
+  { id: 102, identifier: "sroe", name: "Sam Roe", officeEmail: "sam.roe@example.com" },
+];
+
+exports.cwCompanies = [{ id: 1, identifier: "SimulatedCustomer", name: "Simulated Customer" }];
+
+// Env for the service under test. Everything optional is set explicitly so a developer's
+// own .env (dotenv never overrides) can't switch on Redis, shadow mode, the reconciler …
+exports.serviceEnv = ({ cwUrl, pdUrl, port, dataDir }) => ({
+  PORT: String(port),
+  DATA_DIR: dataDir,
+  MAPPING_FILE: exports.MAPPING_FILE,
+  TENANTS_FILE: exports.TENANTS_FILE,
+  SIM_CW_URL: cwUrl,
+  SIM_PD_URL: pdUrl,
+
+  CW_SITE_URL: cwUrl,
+  CW_CODEBASE: exports.CW_CODEBASE,
+  CW_COMPANY_ID: "simulated",
+  CW_PUBLIC_KEY: "sim-public",
+  CW_PRIVATE_KEY: "sim-private",
+  CW_CLIENT_ID: "sim-client",
+  CW_RETRY_BASE_MS: "20",
+  CW_WEBHOOK_TOKEN: exports.CW_WEBHOOK_TOKEN,
+  CW_WEBHOOK_ALLOWED_IPS: "",
+  CW_WEBHOOK_REFETCH: "false",
+
+  PD_MODE: "rest",
+  PD_API_URL: pdUrl,
+  PD_EVENTS_URL: `${pdUrl}/v2/enqueue`,
+  PD_API_KEY: "sim-pd-key",
+  PD_USER_EMAIL: "integration@example.com",
+
+  QUEUE_POLL_MS: "50",
+  QUEUE_RETRY_BASE_MS: "100",
+  QUEUE_RETRY_MAX_MS: "1000",
+  QUEUE_MAX_ATTEMPTS: "3",
+  RECONCILE_INTERVAL_MINUTES: "",
+  REDIS_URL: "",
+  SHADOW_MODE: "false",
+  ADMIN_TOKEN: "sim-admin-token",
+  DASHBOARD_USER: "sim-ops",
+  DASHBOARD_PASSWORD: "sim-ops-password",
+  METRICS_TOKEN: "sim-metrics-token",
+  TRUST_PROXY: "",
+});
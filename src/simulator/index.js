@@ -0,0 +1,166 @@
+// src/simulator/index.js
+// Offline simulator: fake ConnectWise and PagerDuty tenants on local ports, and the real
+// service pointed at them. Scenarios drive the fakes (create a ticket, resolve an incident …)
+// and check what the service did on both sides.
+const { execFile } = require("child_process");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { createFakeConnectWise } = require("./fakeConnectWise");
+const { createFakePagerDuty } = require("./fakePagerDuty");
+const fixtures = require("./fixtures");
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// app: an express app or an http.Server
+function listen(app, port = 0) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, "127.0.0.1", () => resolve(server));
+    server.on("error", reject);
+  });
+}
+
+async function freePort() {
+  const server = await listen(http.createServer());
+  const { port } = server.address();
+  await new Promise((r) => server.close(r));
+  return port;
+}
+
+// --- Start the fakes, then the service (server.js) against them ---
+// port: for the service (default: any free one); dataDir: default a fresh temp directory
+exports.startSimulator = async ({ port, dataDir, env = {} } = {}) => {
+  const cw = createFakeConnectWise({
+    codebase: fixtures.CW_CODEBASE,
+    members: fixtures.cwMembers,
+    companies: fixtures.cwCompanies,
+  });
+  const pd = createFakePagerDuty({
+    services: fixtures.services,
+    priorities: fixtures.priorities,
+    users: fixtures.pdUsers,
+  });
+  const cwServer = await listen(cw.app);
+  const pdServer = await listen(pd.app);
+
+  const appPort = port || (await freePort());
+  const tempDataDir = dataDir ? null : fs.mkdtempSync(path.join(os.tmpdir(), "cwpd-sim-"));
+  const baseUrl = `http://127.0.0.1:${appPort}`;
+  Object.assign(
+    process.env,
+    fixtures.serviceEnv({
+      cwUrl: `http://127.0.0.1:${cwServer.address().port}`,
+      pdUrl: `http://127.0.0.1:${pdServer.address().port}`,
+      port: appPort,
+      dataDir: dataDir || tempDataDir,
+    }),
+    env
+  );
+
+  cw.webhookUrl = `${baseUrl}/connectwise/webhook?token=${fixtures.CW_WEBHOOK_TOKEN}`;
+  pd.webhookUrl = `${baseUrl}/pagerduty/webhook`;
+  for (const service of fixtures.services.filter((s) => s.tenant)) {
+    service.webhookUrl = `${baseUrl}/t/${service.tenant}/pagerduty/webhook`;
+  }
+
+  // Loaded only now: modules read their settings from the env when first required
+  require("../../server");
+  const { getQueueStats } = require("../queue/webhookQueue");
+  const { queryEvents, getEvent } = require("../store/eventHistory");
+  const { listTenants, runForTenant, getTenant, DEFAULT_TENANT } = require("../config/tenants");
+  const { compareEvents } = require("../services/shadowService");
+
+  const sim = {
+    cw,
+    pd,
+    baseUrl,
+    dataDir: process.env.DATA_DIR,
+    fixtures,
+    queryEvents,
+    getEvent,
+    compareEvents,
+    // Run fn as a service tenant (e.g. to read its event history)
+    asTenant: (name, fn) => runForTenant(name, fn),
+  };
+
+  // Jobs waiting in any tenant's queue
+  const queued = () => listTenants().reduce((n, t) => n + runForTenant(t.name, () => getQueueStats().pending), 0);
+
+  // --- Wait for the service to answer /healthz ---
+  for (let attempt = 0; ; attempt++) {
+    try {
+      if ((await fetch(`${baseUrl}/healthz`)).ok) break;
+    } catch (err) {
+      if (attempt > 100) throw new Error(`Service did not start on ${baseUrl}: ${err.message}`);
+    }
+    await sleep(50);
+  }
+
+  // --- Wait until nothing is left to do: no webhook in flight, nothing queued ---
+  // Echoes count too: a status change in PD sends a webhook, which updates CW, which calls back …
+  sim.settle = async ({ timeoutMs = 15000, quietMs = 250 } = {}) => {
+    const deadline = Date.now() + timeoutMs;
+    let quietSince = null;
+    while (Date.now() < deadline) {
+      const busy = cw.pendingDeliveries > 0 || pd.pendingDeliveries > 0 || queued() > 0;
+      if (busy) quietSince = null;
+      else if (!quietSince) quietSince = Date.now();
+      else if (Date.now() - quietSince >= quietMs) return;
+      await sleep(25);
+    }
+    throw new Error(
+      `Simulator did not settle within ${timeoutMs} ms (queued: ${queued()}, ` +
+        `CW callbacks: ${cw.pendingDeliveries}, PD webhooks: ${pd.pendingDeliveries})`
+    );
+  };
+
+  // Call the admin API (default tenant), e.g. sim.admin("POST", "/sla/check")
+  sim.admin = async (method, apiPath, body) => {
+    const res = await fetch(`${baseUrl}/admin${apiPath}`, {
+      method,
+      headers: { Authorization: `Bearer ${process.env.ADMIN_TOKEN}`, "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json().catch(() => null) };
+  };
+
+  // Run fn with the default tenant on another PD_MODE ("events": incidents via the Events API)
+  sim.withPdMode = async (mode, fn) => {
+    const settings = getTenant(DEFAULT_TENANT).pagerduty;
+    const before = settings.mode;
+    settings.mode = mode;
+    try {
+      return await fn();
+    } finally {
+      settings.mode = before;
+    }
+  };
+
+  // Run a CLI (src/cli/<name>.js) against the same tenants and data, next to the running
+  // service: resolves with its JSON output (logs below warnings are left out of stdout)
+  sim.cli = (name, args = []) =>
+    new Promise((resolve, reject) => {
+      const script = path.join(__dirname, "../cli", `${name}.js`);
+      const env = { ...process.env, LOG_LEVEL: "warn", DOTENV_CONFIG_QUIET: "true" };
+      execFile(process.execPath, [script, ...args], { env, timeout: 30000 }, (err, stdout, stderr) => {
+        if (err) return reject(new Error(`${name} CLI failed: ${stderr || err.message}`));
+        try {
+          resolve(JSON.parse(stdout));
+        } catch {
+          reject(new Error(`${name} CLI printed no JSON: ${stdout}`));
+        }
+      });
+    });
+
+  // Events recorded for a ticket, oldest first
+  sim.eventsForTicket = (ticketId) => queryEvents({ ticketId, limit: 1000 }).reverse();
+
+  sim.stop = () => {
+    cwServer.close();
+    pdServer.close();
+    if (tempDataDir) fs.rmSync(tempDataDir, { recursive: true, force: true });
+  };
+
+  return sim;
+};
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+// src/simulator/run.js
+// Run the end-to-end scenarios against the offline simulator (npm test).
+//
+//   node src/simulator/run.js                      every scenario, exit code 1 if any fails
+//   node src/simulator/run.js --only "bad signature"   scenarios whose name contains the text
+//   node src/simulator/run.js --keep-running       stay up afterwards (dashboard, /admin …)
+const { startSimulator } = require("./index");
+const scenarios = require("./scenarios");
+
+function parseArgs(argv) {
+  const args = { only: null, keepRunning: false, port: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--only") args.only = argv[++i];
+    else if (argv[i] === "--keep-running") args.keepRunning = true;
+    else if (argv[i] === "--port") args.port = Number(argv[++i]);
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  return args;
+}
+
+// The service logs one JSON line per step: keep a scenario's lines, show them only if it fails
+function captureOutput() {
+  const lines = [];
+  const original = { log: console.log, error: console.error };
+  console.log = (...args) => lines.push(args.join(" "));
+  console.error = (...args) => lines.push(args.join(" "));
+  return {
+    lines,
+    restore: () => Object.assign(console, original),
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const selected = scenarios.filter((s) => !args.only || s.name.toLowerCase().includes(args.only.toLowerCase()));
+  if (!selected.length) throw new Error(`No scenario matches "${args.only}"`);
+
+  const startup = captureOutput();
+  let sim;
+  try {
+    sim = await startSimulator({ port: args.port });
+  } catch (err) {
+    startup.restore();
+    startup.lines.forEach((line) => console.error(line));
+    throw err;
+  }
+  startup.restore();
+  console.log(`🧪 Simulator: service ${sim.baseUrl}, data in ${sim.dataDir}\n`);
+
+  let failed = 0;
+  for (const scenario of selected) {
+    const output = captureOutput();
+    const started = Date.now();
+    try {
+      await scenario.run(sim);
+      output.restore();
+      console.log(`✅ ${scenario.name} (${Date.now() - started} ms)`);
+    } catch (err) {
+      output.restore();
+      failed++;
+      console.log(`❌ ${scenario.name}`);
+      console.log(`   ${err.stack.split("\n").join("\n   ")}`);
+      if (output.lines.length) console.log(`   --- service log ---\n   ${output.lines.join("\n   ")}`);
+    }
+  }
+
+  console.log(`\n${selected.length - failed} passed, ${failed} failed`);
+
+  if (args.keepRunning) {
+    console.log(`\n🧪 Still running: ${sim.baseUrl} (admin token ${process.env.ADMIN_TOKEN}) — Ctrl+C to stop`);
+    return;
+  }
+  sim.stop();
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch((err) => {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,846 @@
+// src/simulator/scenarios.js
+// End-to-end scenarios against the simulated tenants. Each one drives CW or PD the way a
+// technician or responder would, waits for the service to settle, then checks both sides.
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+
+// --- Helpers ---
+const incidentsFor = (sim, ticket) => sim.pd.findIncidents(`CW-${ticket.id}`);
+
+function onlyIncidentFor(sim, ticket) {
+  const incidents = incidentsFor(sim, ticket);
+  assert.equal(incidents.length, 1, `expected one incident for ticket #${ticket.id}, found ${incidents.length}`);
+  return incidents[0];
+}
+
+const cwEvents = (sim, ticket) => sim.eventsForTicket(ticket.id).filter((e) => e.source === "connectwise");
+
+const reasons = (events) => events.map((e) => e.reason).filter(Boolean);
+
+const resolutionNotes = (sim, ticket) => sim.cw.getNotes(ticket.id).filter((n) => n.resolutionFlag);
+
+// CW notes starting with the text (timeline notes end with an origin marker)
+const notesStartingWith = (sim, ticket, text) => sim.cw.getNotes(ticket.id).filter((n) => n.text.startsWith(text));
+
+async function pagedTicket(sim, fields = {}) {
+  const ticket = await sim.cw.createTicket({
+    summary: "Mail server down via Critical",
+    description: "Exchange is not accepting connections",
+    ...fields,
+  });
+  await sim.settle();
+  return { ticket, incident: onlyIncidentFor(sim, ticket) };
+}
+
+// --- Scenarios ---
+module.exports = [
+  {
+    name: "new P1 ticket creates one incident with the description as a note",
+    run: async (sim) => {
+      const { ticket, incident } = await pagedTicket(sim);
+
+      assert.equal(incident.title, `P1 | #${ticket.id} - Mail server down via Critical`);
+      assert.equal(incident.status, "triggered");
+      assert.equal(incident.urgency, "high");
+      assert.equal(incident.service.id, "PSIMTS1");
+      assert.equal(incident.priority.id, "PSIMP01");
+      assert.deepEqual(
+        sim.pd.getNotes(incident.id).map((n) => n.content),
+        ["Exchange is not accepting connections\n\n[synced from ConnectWise]"]
+      );
+      assert.ok(cwEvents(sim, ticket).some((e) => e.outcome === "created"));
+    },
+  },
+  {
+    name: "the description posted on a new incident is not copied back to the ticket",
+    run: async (sim) => {
+      const { ticket, incident } = await pagedTicket(sim);
+
+      const annotated = sim.pd.webhooks.filter((w) => w.eventType === "incident.annotated" && w.incidentId === incident.id);
+      assert.equal(annotated.length, 1, "PD sent the annotation webhook for the description");
+      assert.deepEqual(
+        sim.cw.getNotes(ticket.id).map((n) => n.text),
+        ["Exchange is not accepting connections"]
+      );
+    },
+  },
+  {
+    name: "a description note that failed to post is added when the ticket's callback is retried",
+    run: async (sim) => {
+      sim.pd.failNext("POST", /\/notes$/);
+      const { ticket, incident } = await pagedTicket(sim);
+
+      assert.deepEqual(cwEvents(sim, ticket).map((e) => e.attempts), [2], "the callback was retried");
+      assert.deepEqual(
+        sim.pd.getNotes(incident.id).map((n) => n.content),
+        ["Exchange is not accepting connections\n\n[synced from ConnectWise]"]
+      );
+    },
+  },
+  {
+    name: "P4 ticket is not paged",
+    run: async (sim) => {
+      const ticket = await sim.cw.createTicket({ summary: "Printer jam via Non Critical", priority: "4a - Normal" });
+      await sim.settle();
+
+      assert.equal(incidentsFor(sim, ticket).length, 0);
+      assert.deepEqual(reasons(cwEvents(sim, ticket)), ["priority_not_allowed"]);
+    },
+  },
+  {
+    name: "ticket on an unmapped board is ignored",
+    run: async (sim) => {
+      const ticket = await sim.cw.createTicket({ summary: "Quote request via Critical", board: "Sales" });
+      await sim.settle();
+
+      assert.equal(incidentsFor(sim, ticket).length, 0);
+      assert.deepEqual(reasons(cwEvents(sim, ticket)), ["board_not_allowed"]);
+    },
+  },
+  {
+    name: "summary without a board keyword is not paged",
+    run: async (sim) => {
+      const ticket = await sim.cw.createTicket({ summary: "Mail server down" });
+      await sim.settle();
+
+      assert.equal(incidentsFor(sim, ticket).length, 0);
+      assert.deepEqual(reasons(cwEvents(sim, ticket)), ["keyword_filter"]);
+    },
+  },
+  {
+    name: "P2 ticket on the SOC board goes to the SOC service",
+    run: async (sim) => {
+      const { incident } = await pagedTicket(sim, {
+        summary: "Suspicious sign-ins",
+        board: "Security Operations Center",
+        priority: "2a - Critical",
+      });
+
+      assert.equal(incident.service.id, "PSIMSOC");
+      assert.equal(incident.priority.id, "PSIMP02");
+    },
+  },
+  {
+    name: "resolving the CW ticket resolves the incident",
+    run: async (sim) => {
+      const { ticket, incident } = await pagedTicket(sim);
+
+      await sim.cw.updateTicket(ticket.id, { status: "Completed: Resolved" }, { closed: true });
+      await sim.settle();
+
+      assert.equal(sim.pd.getIncident(incident.id).status, "resolved");
+      assert.equal(incidentsFor(sim, ticket).length, 1);
+    },
+  },
+  {
+    name: "reopening a resolved ticket creates a new incident",
+    run: async (sim) => {
+      const { ticket, incident: first } = await pagedTicket(sim);
+      await sim.cw.updateTicket(ticket.id, { status: "Completed: Resolved" }, { closed: true });
+      await sim.settle();
+
+      await sim.cw.updateTicket(ticket.id, { status: "Re-Opened" }, { closed: false });
+      await sim.settle();
+
+      const incidents = incidentsFor(sim, ticket);
+      assert.equal(incidents.length, 2);
+      assert.equal(sim.pd.getIncident(first.id).status, "resolved");
+      const second = incidents.find((i) => i.id !== first.id);
+      assert.equal(second.status, "triggered");
+    },
+  },
+  {
+    name: "PD resolve with a \"Resolution Note:\" closes the ticket with that note",
+    run: async (sim) => {
+      const { ticket, incident } = await pagedTicket(sim);
+
+      sim.pd.addNote(incident.id, "Resolution Note: Restarted the transport service");
+      await sim.settle();
+      sim.pd.resolve(incident.id);
+      await sim.settle();
+
+      assert.equal(sim.cw.getTicket(ticket.id).status.name, "Returned To Normal");
+      const notes = resolutionNotes(sim, ticket);
+      assert.equal(notes.length, 1, "one resolution note, not one per webhook");
+      assert.match(notes[0].text, /Restarted the transport service/);
+      assert.match(notes[0].text, /\[synced from PagerDuty\]/);
+    },
+  },
+  {
+    name: "PD resolve without notes adds a default resolution note",
+    run: async (sim) => {
+      const { ticket, incident } = await pagedTicket(sim, { description: null });
+
+      sim.pd.resolve(incident.id);
+      await sim.settle();
+
+      const notes = resolutionNotes(sim, ticket);
+      assert.equal(notes.length, 1);
+      assert.match(notes[0].text, /^Resolved in PagerDuty/);
+    },
+  },
+  {
+    name: "PD acknowledge sets the CW status and owner",
+    run: async (sim) => {
+      const { ticket, incident } = await pagedTicket(sim);
+
+      sim.pd.acknowledge(incident.id, sim.fixtures.pdUsers[0]);
+      await sim.settle();
+
+      const updated = sim.cw.getTicket(ticket.id);
+      assert.equal(updated.status.name, "Acknowledged");
+      assert.equal(updated.owner?.identifier, "jdoe");
+      assert.equal(sim.pd.getIncident(incident.id).status, "acknowledged");
+    },
+  },
+  {
+    name: "notes are mirrored both ways without echoing back",
+    run: async (sim) => {
+      const { ticket, incident } = await pagedTicket(sim);
+
+      sim.pd.addNote(incident.id, "Looking into it", sim.fixtures.pdUsers[1]);
+      await sim.settle();
+      sim.cw.addNote(ticket.id, "Customer says it is back", { member: { identifier: "jdoe", name: "Jane Doe" } });
+      await sim.cw.updateTicket(ticket.id, {});
+      await sim.settle();
+
+      const cwNotes = sim.cw.getNotes(ticket.id).map((n) => n.text);
+      assert.equal(cwNotes.filter((t) => t.includes("Sam Roe: Looking into it")).length, 1);
+
+      const pdNotes = sim.pd.getNotes(incident.id).map((n) => n.content);
+      assert.equal(pdNotes.filter((c) => c.includes("[CW Discussion] Jane Doe: Customer says it is back")).length, 1);
+      assert.equal(pdNotes.filter((c) => c.includes("Looking into it")).length, 1, "PD note not mirrored back to PD");
+    },
+  },
+  {
+    name: "PD webhook with a bad signature is rejected",
+    run: async (sim) => {
+      const { ticket, incident } = await pagedTicket(sim);
+
+      const delivery = await sim.pd.emit(
+        "incident.resolved",
+        { ...incident, status: "resolved" },
+        { secret: "not-the-service-secret", agent: sim.fixtures.pdUsers[0] }
+      );
+      await sim.settle();
+
+      assert.equal(delivery.response?.message, "Invalid signature");
+      const [event] = sim.queryEvents({ eventId: delivery.body.event.id });
+      assert.equal(event?.reason, "bad_signature");
+      assert.equal(sim.cw.getTicket(ticket.id).status.name, "New");
+      assert.equal(resolutionNotes(sim, ticket).length, 0);
+    },
+  },
+  {
+    name: "CW callback with a wrong token is rejected",
+    run: async (sim) => {
+      const ticket = await sim.cw.createTicket({ summary: "Mail server down via Critical", callback: false });
+      const delivery = await sim.cw.sendCallback("added", ticket, { token: "wrong-token" });
+      await sim.settle();
+
+      assert.equal(delivery.status, 401);
+      assert.equal(incidentsFor(sim, ticket).length, 0);
+    },
+  },
+  {
+    name: "duplicate CW callback creates one incident",
+    run: async (sim) => {
+      const ticket = await sim.cw.createTicket({ summary: "Mail server down via Critical", callback: false });
+      await Promise.all([sim.cw.sendCallback("added", ticket), sim.cw.sendCallback("added", ticket)]);
+      await sim.settle();
+
+      onlyIncidentFor(sim, ticket);
+      assert.ok(reasons(cwEvents(sim, ticket)).includes("duplicate_event"));
+    },
+  },
+  {
+    name: "redelivered PD webhook is applied once",
+    run: async (sim) => {
+      const { ticket, incident } = await pagedTicket(sim);
+      sim.pd.autoWebhooks = false;
+      try {
+        const note = { id: "PSIMNOTE1", content: "Vendor ticket opened" };
+        const options = { note, agent: sim.fixtures.pdUsers[0], eventId: `01SIMDUP${ticket.id}` };
+        await sim.pd.emit("incident.annotated", incident, options);
+        await sim.pd.emit("incident.annotated", incident, options);
+        await sim.settle();
+      } finally {
+        sim.pd.autoWebhooks = true;
+      }
+
+      assert.equal(sim.cw.getNotes(ticket.id).filter((n) => n.text.includes("Vendor ticket opened")).length, 1);
+    },
+  },
+  {
+    name: "PD escalation, responders, status updates and priority changes are on the ticket's timeline",
+    run: async (sim) => {
+      const { ticket, incident } = await pagedTicket(sim);
+
+      sim.pd.escalate(incident.id, "PSIMU02");
+      await sim.settle();
+      sim.pd.addResponder(incident.id, "PSIMU01", "Need a DBA");
+      sim.pd.publishStatusUpdate(incident.id, "Failover in progress");
+      sim.pd.setPriority(incident.id, "PSIMP02");
+      await sim.settle();
+
+      const [escalated] = notesStartingWith(sim, ticket, "⬆️ Escalated to Sam Roe (Simulated policy)");
+      assert.ok(escalated, "escalation note");
+      assert.equal(escalated.internalAnalysisFlag, true);
+      assert.equal(notesStartingWith(sim, ticket, "🙋 Jane Doe added as a responder by Jane Doe: Need a DBA").length, 1);
+      assert.equal(notesStartingWith(sim, ticket, "📣 Status update from Jane Doe: Failover in progress").length, 1);
+      assert.equal(notesStartingWith(sim, ticket, "🎚️ PagerDuty priority changed to P2 by Jane Doe").length, 1);
+      assert.equal(sim.cw.getTicket(ticket.id).owner.identifier, "sroe");
+      assert.equal(sim.cw.getTicket(ticket.id).priority.name, "2a - Critical");
+
+      // Our own change coming back from PD isn't put on the timeline
+      await sim.cw.updateTicket(ticket.id, { priority: "1a - Emergency" });
+      await sim.settle();
+      assert.equal(sim.pd.getIncident(incident.id).priority.summary, "P1");
+      assert.equal(notesStartingWith(sim, ticket, "🎚️ PagerDuty priority changed to P1").length, 0);
+
+      // Events without a service are still checked against the tenant's webhook secrets
+      const forged = { id: "SUFORGED", message: "Forged", incident: { id: incident.id }, type: "status_update" };
+      const delivery = await sim.pd.emit("incident.status_update_published", incident, { data: forged, secret: "wrong" });
+      await sim.settle();
+      assert.equal(delivery.response.message, "Invalid signature");
+      assert.equal(notesStartingWith(sim, ticket, "📣 Status update from PagerDuty: Forged").length, 0);
+    },
+  },
+  {
+    name: "PD reopen reopens the resolved ticket without a new incident",
+    run: async (sim) => {
+      const { ticket, incident } = await pagedTicket(sim);
+      sim.pd.resolve(incident.id);
+      await sim.settle();
+      assert.equal(sim.cw.getTicket(ticket.id).status.name, "Returned To Normal");
+
+      sim.pd.reopen(incident.id);
+      await sim.settle();
+
+      assert.equal(sim.cw.getTicket(ticket.id).status.name, "Re-Opened");
+      assert.equal(notesStartingWith(sim, ticket, "🔁 Reopened in PagerDuty by Jane Doe").length, 1);
+      assert.equal(onlyIncidentFor(sim, ticket).status, "triggered");
+    },
+  },
+  {
+    name: "PD unacknowledge, delegation and reassignment are on the ticket's timeline",
+    run: async (sim) => {
+      const { ticket, incident } = await pagedTicket(sim);
+      sim.pd.acknowledge(incident.id);
+      await sim.settle();
+
+      sim.pd.unacknowledge(incident.id);
+      await sim.settle();
+      sim.pd.delegate(incident.id, "PSIMU01", "Database On-Call");
+      await sim.settle();
+      sim.pd.reassign(incident.id, "PSIMU02");
+      await sim.settle();
+
+      assert.equal(notesStartingWith(sim, ticket, "↩️ Acknowledgement timed out — paging").length, 1);
+      assert.equal(notesStartingWith(sim, ticket, "➡️ Delegated to Database On-Call (Jane Doe) by Jane Doe").length, 1);
+      assert.equal(notesStartingWith(sim, ticket, "🔀 Reassigned to Sam Roe by Jane Doe").length, 1);
+      assert.equal(sim.cw.getTicket(ticket.id).owner.identifier, "sroe");
+    },
+  },
+  {
+    name: "resolving the incident logs each responder's acknowledge-to-resolve time on the ticket",
+    run: async (sim) => {
+      const [jane, sam] = sim.fixtures.pdUsers;
+      const { ticket, incident } = await pagedTicket(sim);
+      sim.pd.acknowledge(incident.id, jane);
+      await sim.settle();
+      sim.pd.acknowledge(incident.id, sam);
+      await sim.settle();
+
+      // Jane acknowledged 45 minutes ago, Sam joined 20 minutes ago
+      const [janeAck, samAck] = sim.pd.getLogEntries(incident.id).filter((e) => e.type === "acknowledge_log_entry");
+      janeAck.created_at = new Date(Date.now() - 45 * 60 * 1000).toISOString();
+      samAck.created_at = new Date(Date.now() - 20 * 60 * 1000).toISOString();
+      sim.pd.resolve(incident.id, jane);
+      await sim.settle();
+
+      const entries = sim.cw.getTimeEntries(ticket.id);
+      assert.deepEqual(
+        entries.map((e) => [e.member.identifier, Math.round(e.actualHours * 60)]),
+        [["jdoe", 45], ["sroe", 20]]
+      );
+      assert.equal(entries[0].chargeToType, "ServiceTicket");
+      assert.equal(entries[0].workType.name, "Remote Support");
+      assert.equal(entries[0].billableOption, "Billable");
+
+      // A redelivered resolve webhook doesn't log the time twice
+      await sim.pd.emit("incident.resolved", incident, { agent: jane });
+      await sim.settle();
+      assert.equal(sim.cw.getTimeEntries(ticket.id).length, 2);
+    },
+  },
+  {
+    name: "a resolve retried after a failed time entry logs only the missing time and one resolution note",
+    run: async (sim) => {
+      const [jane, sam] = sim.fixtures.pdUsers;
+      const { ticket, incident } = await pagedTicket(sim);
+      sim.pd.acknowledge(incident.id, jane);
+      await sim.settle();
+      sim.pd.acknowledge(incident.id, sam);
+      await sim.settle();
+      for (const ack of sim.pd.getLogEntries(incident.id).filter((e) => e.type === "acknowledge_log_entry")) {
+        ack.created_at = new Date(Date.now() - 30 * 60 * 1000).toISOString();
+      }
+
+      // The first entry is saved, the second fails: the webhook is retried
+      sim.cw.failNext("POST", /\/time\/entries$/, { skip: 1 });
+      sim.pd.resolve(incident.id, jane);
+      await sim.settle();
+
+      assert.deepEqual(sim.cw.getTimeEntries(ticket.id).map((e) => e.member.identifier).sort(), ["jdoe", "sroe"]);
+      assert.equal(resolutionNotes(sim, ticket).length, 1);
+      const resolved = sim.eventsForTicket(ticket.id).find((e) => e.eventType === "incident.resolved");
+      assert.equal(resolved.attempts, 2, "the resolve webhook was retried");
+    },
+  },
+  {
+    name: "closing a ticket as a duplicate merges its incident into the parent ticket's incident",
+    run: async (sim) => {
+      const { ticket: parent, incident: parentIncident } = await pagedTicket(sim);
+      const { ticket: child, incident: childIncident } = await pagedTicket(sim, { summary: "No email via Critical" });
+
+      await sim.cw.updateTicket(child.id, { status: "Cancelled: Duplicate", parentTicketId: parent.id }, { closed: true });
+      await sim.settle();
+
+      const merged = sim.pd.getIncident(childIncident.id);
+      assert.equal(merged.status, "resolved");
+      assert.equal(merged.resolve_reason?.incident.id, parentIncident.id);
+      assert.equal(sim.pd.getIncident(parentIncident.id).status, "triggered");
+      assert.equal(notesStartingWith(sim, child, `🔗 Incident ${childIncident.id} merged into incident ${parentIncident.id}`).length, 1);
+      // The PD resolve for the merge leaves the ticket closed as a duplicate
+      assert.equal(sim.cw.getTicket(child.id).status.name, "Cancelled: Duplicate");
+      assert.equal(resolutionNotes(sim, child).length, 0);
+    },
+  },
+  {
+    name: "incidents merged in PD make their tickets parent and child in CW",
+    run: async (sim) => {
+      const { ticket: parent, incident: parentIncident } = await pagedTicket(sim);
+      const { ticket: child, incident: childIncident } = await pagedTicket(sim, { summary: "No email via Critical" });
+
+      sim.pd.merge(parentIncident.id, childIncident.id);
+      await sim.settle();
+
+      const updated = sim.cw.getTicket(child.id);
+      assert.equal(updated.parentTicketId, parent.id);
+      assert.equal(updated.status.name, "Cancelled: Child Ticket");
+      assert.equal(notesStartingWith(sim, child, `🔗 Merged in PagerDuty into incident ${parentIncident.id} (Ticket #${parent.id}) by Jane Doe`).length, 1);
+      assert.equal(resolutionNotes(sim, child).length, 0);
+      assert.equal(sim.cw.getTicket(parent.id).status.name, "New");
+      assert.equal(sim.pd.getIncident(parentIncident.id).status, "triggered");
+    },
+  },
+  {
+    name: "raising the ticket priority raises the incident's priority and title",
+    run: async (sim) => {
+      const { ticket, incident } = await pagedTicket(sim, { priority: "3 - High" });
+      assert.equal(incident.priority.id, "PSIMP03");
+
+      await sim.cw.updateTicket(ticket.id, { priority: "1a - Emergency" });
+      await sim.settle();
+
+      assert.equal(incident.priority.id, "PSIMP01");
+      assert.equal(incident.title, `P1 | #${ticket.id} - Mail server down via Critical`);
+      assert.equal(sim.cw.getTicket(ticket.id).priority.name, "1a - Emergency");
+    },
+  },
+  {
+    name: "editing the ticket summary retitles the incident",
+    run: async (sim) => {
+      const { ticket, incident } = await pagedTicket(sim);
+
+      await sim.cw.updateTicket(ticket.id, { summary: "Mail and VPN down via Critical" });
+      await sim.settle();
+
+      assert.equal(incident.title, `P1 | #${ticket.id} - Mail and VPN down via Critical`);
+      assert.equal(onlyIncidentFor(sim, ticket).id, incident.id);
+    },
+  },
+  {
+    name: "moving the ticket to an in-progress status acknowledges the incident",
+    run: async (sim) => {
+      const { ticket, incident } = await pagedTicket(sim);
+
+      await sim.cw.updateTicket(ticket.id, { status: "In Progress" });
+      await sim.settle();
+
+      assert.equal(incident.status, "acknowledged");
+      assert.ok(cwEvents(sim, ticket).some((e) => e.outcome === "updated"));
+    },
+  },
+  {
+    name: "ticket dropped to an unpaged priority lowers the incident",
+    run: async (sim) => {
+      const { ticket, incident } = await pagedTicket(sim);
+
+      await sim.cw.updateTicket(ticket.id, { priority: "4a - Normal" });
+      await sim.settle();
+
+      assert.equal(incident.status, "triggered");
+      assert.equal(incident.priority.id, "PSIMP04");
+      assert.equal(incident.urgency, "low");
+      assert.equal(incident.title, `P4 | #${ticket.id} - Mail server down via Critical`);
+    },
+  },
+  {
+    name: "routing rules skip planned maintenance and send Acme firewalls to the SOC service",
+    run: async (sim) => {
+      const maintenance = await sim.cw.createTicket({ summary: "Patch window via Critical", type: "Maintenance" });
+      await sim.settle();
+      assert.equal(incidentsFor(sim, maintenance).length, 0);
+      assert.deepEqual(reasons(cwEvents(sim, maintenance)), ["rule_skip"]);
+
+      // The rule decides: no board keyword needed, and its priority is paged whatever the ticket's
+      const { incident } = await pagedTicket(sim, {
+        summary: "Firewall down",
+        company: "Acme Corp",
+        priority: "4a - Normal",
+        configurationItems: ["FW-01"],
+      });
+      assert.equal(incident.service.id, "PSIMSOC");
+      assert.equal(incident.priority.id, "PSIMP02");
+      assert.equal(incident.escalation_policy.id, "PSIMEP9");
+      assert.match(incident.title, /^P2 \| /);
+    },
+  },
+  {
+    name: "the rule test endpoint shows which rule matches a ticket and what would be paged",
+    run: async (sim) => {
+      const ticket = await sim.cw.createTicket({ summary: "Portal login broken via Critical", source: "Portal", callback: false });
+
+      // Saturday evening: outside the (UTC) business hours
+      const weekend = await sim.admin("POST", "/rules/test", { ticketId: ticket.id, at: "2026-10-17T20:00:00Z" });
+      assert.equal(weekend.status, 200);
+      assert.deepEqual(weekend.body.matched, { index: 2, name: "Portal tickets out of hours" });
+      assert.equal(weekend.body.plan.serviceId, "PSIMTS1");
+      assert.equal(weekend.body.plan.urgency, "low");
+      assert.deepEqual(weekend.body.rules[0].mismatched, ["type"]);
+
+      // Monday morning: no rule matches, the board's routing applies
+      const weekday = await sim.admin("POST", "/rules/test", { ticketId: ticket.id, at: "2026-10-19T10:00:00Z" });
+      assert.equal(weekday.body.matched, null);
+      assert.equal(weekday.body.plan.urgency, "high");
+      assert.deepEqual(weekday.body.rules[2].mismatched, ["businessHours"]);
+
+      assert.equal(incidentsFor(sim, ticket).length, 0, "testing rules pages nothing");
+      assert.equal((await sim.admin("POST", "/rules/test", {})).status, 400);
+    },
+  },
+  {
+    name: "reconciliation only pages missed tickets that the routing would have paged",
+    run: async (sim) => {
+      // Callbacks lost: nothing was paged for any of them
+      const missed = await sim.cw.createTicket({ summary: "Mail server down via Critical", callback: false });
+      const maintenance = await sim.cw.createTicket({ summary: "Patch window via Critical", type: "Maintenance", callback: false });
+      const lowPriority = await sim.cw.createTicket({ summary: "Printer jam via Non Critical", priority: "4a - Normal", callback: false });
+
+      const driftFor = (report, ticket) => report.drift.filter((d) => d.ticketId === ticket.id);
+      const { body: report } = await sim.admin("POST", "/reconcile", { mode: "report" });
+      assert.deepEqual(driftFor(report, missed).map((d) => d.type), ["ticket_open_no_incident"]);
+      assert.deepEqual(driftFor(report, maintenance), []);
+      assert.deepEqual(driftFor(report, lowPriority), []);
+
+      const { body: fixed } = await sim.admin("POST", "/reconcile", { mode: "fix" });
+      assert.equal(driftFor(fixed, missed)[0].fixed, true);
+      onlyIncidentFor(sim, missed);
+      assert.equal(incidentsFor(sim, maintenance).length, 0);
+      assert.equal(incidentsFor(sim, lowPriority).length, 0);
+    },
+  },
+  {
+    name: "reconciliation pages a re-opened ticket whose incident is resolved instead of closing it",
+    run: async (sim) => {
+      const { ticket, incident } = await pagedTicket(sim);
+      sim.pd.resolve(incident.id);
+      await sim.settle();
+      // Re-opened by an engineer, callback lost
+      await sim.cw.updateTicket(ticket.id, { status: "Re-Opened" }, { callback: false, closed: false });
+
+      const { body: report } = await sim.admin("POST", "/reconcile", { mode: "report" });
+      const drift = report.drift.filter((d) => d.ticketId === ticket.id);
+      assert.deepEqual(drift.map((d) => d.type), ["ticket_reopened_incident_resolved"]);
+
+      const { body: fixed } = await sim.admin("POST", "/reconcile", { mode: "fix" });
+      assert.equal(fixed.drift.find((d) => d.ticketId === ticket.id).fixed, true);
+      await sim.settle();
+      assert.equal(sim.cw.getTicket(ticket.id).status.name, "Re-Opened");
+      const incidents = incidentsFor(sim, ticket);
+      assert.equal(incidents.length, 2);
+      assert.equal(incidents.find((i) => i.id !== incident.id).status, "triggered");
+    },
+  },
+  {
+    name: "in Events API mode an acknowledged ticket acknowledges its incident even when it can't be read",
+    run: async (sim) => {
+      await sim.withPdMode("events", async () => {
+        const { ticket, incident } = await pagedTicket(sim);
+        assert.ok(sim.pd.requests.some((r) => r.path === "/v2/enqueue" && r.body.event_action === "trigger"));
+
+        // Neither the linked incident nor the one for the incident key can be read
+        sim.pd.failNext("GET", /^\/incidents/, { times: 2 });
+        await sim.cw.updateTicket(ticket.id, { status: "In Progress" });
+        await sim.settle();
+
+        assert.ok(sim.pd.requests.some((r) => r.path === "/v2/enqueue" && r.body.event_action === "acknowledge"));
+        assert.equal(sim.pd.getIncident(incident.id).status, "acknowledged");
+        assert.ok(cwEvents(sim, ticket).some((e) => e.message === "Acknowledge event sent"));
+      });
+    },
+  },
+  {
+    name: "readiness details and fresh checks are for the admin token only",
+    run: async (sim) => {
+      const ready = async (query, token) => {
+        const res = await fetch(`${sim.baseUrl}/readyz${query}`, {
+          headers: token ? { Authorization: `Bearer ${token}` } : {},
+        });
+        return { status: res.status, body: await res.json() };
+      };
+
+      const probe = await ready("?fresh=1");
+      assert.equal(probe.status, 200);
+      assert.deepEqual(probe.body, { status: "ready" });
+
+      const before = sim.pd.requests.length;
+      const detailed = await ready("?fresh=1", process.env.ADMIN_TOKEN);
+      assert.equal(detailed.body.status, "ready");
+      assert.equal(detailed.body.checks.pagerduty.ok, true);
+      assert.ok(sim.pd.requests.length > before, "a fresh check calls PD again");
+
+      const other = await ready("", sim.fixtures.acme.adminToken);
+      assert.deepEqual(other.body, { status: "ready" }, "a tenant's own token shows no other tenant's checks");
+    },
+  },
+  {
+    name: "a link made by the reconcile CLI survives the running service's next change",
+    run: async (sim) => {
+      await pagedTicket(sim);
+
+      // The callback never arrived: the CLI pages the ticket and links the incident
+      const missed = await sim.cw.createTicket({ summary: "Mail server down via Critical", callback: false });
+      const report = await sim.cli("reconcile", ["--fix"]);
+      assert.ok(report.drift.some((d) => d.ticketId === missed.id && d.type === "ticket_open_no_incident" && d.fixed));
+      const incident = onlyIncidentFor(sim, missed);
+      await sim.settle();
+
+      // The service, which had links.json loaded already, changes it for another ticket
+      await pagedTicket(sim);
+      sim.pd.resolve(incident.id);
+      await sim.settle();
+
+      // Still the CLI's link: the service didn't take the incident for one it had no record of
+      const links = JSON.parse(fs.readFileSync(path.join(sim.dataDir, "links.json"), "utf8"));
+      assert.equal(links.incidents[incident.id], String(missed.id));
+      assert.deepEqual(links.tickets[missed.id].incidents.map((i) => i.reason), ["created"]);
+      assert.equal(sim.cw.getTicket(missed.id).status.name, "Returned To Normal");
+    },
+  },
+  {
+    name: "a replay from the CLI shows up in the running service's event history",
+    run: async (sim) => {
+      const { ticket } = await pagedTicket(sim);
+      const [original] = cwEvents(sim, ticket);
+
+      const replayed = await sim.cli("replay", ["--event", original.id]);
+      assert.equal(replayed.reason, "already_active");
+
+      const [latest] = sim.queryEvents({ ticketId: ticket.id, limit: 1 });
+      assert.equal(latest.replayOf, original.id);
+      assert.equal(latest.id, replayed.id);
+    },
+  },
+  {
+    name: "a dry run of a callback agrees with the live run, though its writes carry placeholder IDs",
+    run: async (sim) => {
+      const ticket = await sim.cw.createTicket({
+        summary: "Mail server down via Critical",
+        description: "Exchange is not accepting connections",
+        callback: false,
+      });
+      const payload = { Action: "added", Type: "Ticket", ID: ticket.id, MemberId: 0, Entity: JSON.stringify(ticket) };
+
+      // What a shadow instance would record: the same decision, writes simulated
+      const { body: dryRun } = await sim.admin("POST", "/replay", { source: "connectwise", payload, dryRun: true });
+      const shadowWrites = dryRun.apiCalls.filter((c) => c.method !== "GET").map((c) => `${c.method} ${c.system} ${c.path}`);
+      assert.ok(shadowWrites.some((w) => w.includes("/DRY-RUN/")), "the dry run wrote to a placeholder ID");
+
+      await sim.cw.sendCallback("added", ticket);
+      await sim.settle();
+      const [live] = cwEvents(sim, ticket);
+      assert.equal(live.outcome, "created");
+
+      const shadow = { ...dryRun, writes: shadowWrites };
+      const summary = sim.compareEvents([shadow], [live]);
+      assert.equal(summary.matched, 1);
+      assert.equal(summary.agreed, 1);
+      assert.deepEqual(summary.differences, []);
+    },
+  },
+  {
+    name: "reconciliation leaves tickets kept open for an unpaged priority, and pushes the CW priority to PD",
+    run: async (sim) => {
+      // Acme resolves the incident of a ticket dropped to an unpaged priority, the ticket stays open
+      const { acme } = sim.fixtures;
+      const toAcme = (action, ticket) =>
+        sim.cw.sendCallback(action, ticket, {
+          webhookUrl: `${sim.baseUrl}/t/${acme.name}/connectwise/webhook`,
+          token: acme.cwWebhookToken,
+        });
+      const acmeReconcile = async (mode) => {
+        const res = await fetch(`${sim.baseUrl}/t/${acme.name}/admin/reconcile`, {
+          method: "POST",
+          headers: { Authorization: `Bearer ${acme.adminToken}`, "Content-Type": "application/json" },
+          body: JSON.stringify({ mode }),
+        });
+        return res.json();
+      };
+
+      const acmeTicket = await sim.cw.createTicket({ summary: "Acme VPN down via Critical", callback: false });
+      await toAcme("added", acmeTicket);
+      await sim.settle();
+      const acmeIncident = onlyIncidentFor(sim, acmeTicket);
+      await toAcme("updated", await sim.cw.updateTicket(acmeTicket.id, { priority: "4a - Normal" }, { callback: false }));
+      await sim.settle();
+      assert.equal(acmeIncident.status, "resolved");
+      assert.equal(sim.cw.getTicket(acmeTicket.id).status.name, "New");
+
+      const acmeFixed = await acmeReconcile("fix");
+      assert.deepEqual(acmeFixed.drift.filter((d) => d.ticketId === acmeTicket.id), []);
+      assert.equal(sim.cw.getTicket(acmeTicket.id).status.name, "New");
+
+      // The default tenant pushes CW priority changes to PD, so PD's priority is the one fixed
+      const { ticket, incident } = await pagedTicket(sim);
+      incident.priority = { id: "PSIMP03", type: "priority_reference", summary: "P3" };
+      const { body: fixed } = await sim.admin("POST", "/reconcile", { mode: "fix" });
+      await sim.settle();
+      assert.equal(fixed.drift.find((d) => d.ticketId === ticket.id).action, "set PD priority to P1");
+      assert.equal(incident.priority.id, "PSIMP01");
+      assert.equal(sim.cw.getTicket(ticket.id).priority.name, "1a - Emergency");
+    },
+  },
+  {
+    name: "incident is escalated once ahead of the ticket's respond-by SLA",
+    run: async (sim) => {
+      const respondByDate = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+      const { ticket, incident } = await pagedTicket(sim, { priority: "2a - Critical", respondByDate });
+      assert.equal(incident.priority.id, "PSIMP02");
+
+      for (let i = 0; i < 2; i++) {
+        const check = await sim.admin("POST", "/sla/check");
+        assert.equal(check.status, 200);
+        await sim.settle();
+      }
+
+      assert.equal(incident.priority.id, "PSIMP01");
+      assert.deepEqual(
+        (incident.responder_requests || []).map((r) => r.responder_request_targets[0].responder_request_target.id),
+        ["PSIMU02"]
+      );
+      assert.equal(sim.pd.getNotes(incident.id).filter((n) => n.content.includes("SLA respond target")).length, 1);
+      assert.ok(!sim.cw.getNotes(ticket.id).some((n) => n.text.includes("SLA")));
+    },
+  },
+  {
+    name: "missed resolve-by SLA is noted on the incident and the ticket",
+    run: async (sim) => {
+      const resolveByDate = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+      const { ticket, incident } = await pagedTicket(sim, { resolveByDate });
+
+      await sim.admin("POST", "/sla/check");
+      await sim.settle();
+      await sim.admin("POST", "/sla/check");
+      await sim.settle();
+
+      const cwNotes = sim.cw.getNotes(ticket.id).filter((n) => n.text.includes("SLA breached"));
+      assert.equal(cwNotes.length, 1);
+      assert.equal(cwNotes[0].internalAnalysisFlag, true);
+      assert.equal(sim.pd.getNotes(incident.id).filter((n) => n.content.includes("SLA breached")).length, 1);
+    },
+  },
+  {
+    name: "a breach note that failed on one side is added by the next SLA check without repeating the other",
+    run: async (sim) => {
+      const resolveByDate = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+      const { ticket, incident } = await pagedTicket(sim, { resolveByDate });
+
+      // The escalation note goes through, the PD breach note fails
+      sim.pd.failNext("POST", /\/notes$/, { skip: 1 });
+      const { body: first } = await sim.admin("POST", "/sla/check");
+      assert.ok(first.escalations.some((e) => e.error), "the failure is reported");
+      await sim.settle();
+      await sim.admin("POST", "/sla/check");
+      await sim.settle();
+
+      assert.equal(sim.cw.getNotes(ticket.id).filter((n) => n.text.includes("SLA breached")).length, 1);
+      assert.equal(sim.pd.getNotes(incident.id).filter((n) => n.content.includes("SLA breached")).length, 1);
+    },
+  },
+  {
+    name: "a second tenant pages with its own credentials, history and metrics",
+    run: async (sim) => {
+      const { acme } = sim.fixtures;
+      const cwCalls = sim.cw.requests.length;
+      const pdCalls = sim.pd.requests.length;
+      const ticket = await sim.cw.createTicket({ summary: "Acme VPN down via Critical", callback: false });
+      const delivery = await sim.cw.sendCallback("added", ticket, {
+        webhookUrl: `${sim.baseUrl}/t/${acme.name}/connectwise/webhook`,
+        token: acme.cwWebhookToken,
+      });
+      await sim.settle();
+
+      assert.equal(delivery.status, 202);
+      assert.equal(onlyIncidentFor(sim, ticket).service.id, "PSIMACME");
+      assert.ok(sim.cw.requests.slice(cwCalls).every((r) => r.company === acme.cwCompanyId));
+      assert.ok(sim.pd.requests.slice(pdCalls).every((r) => r.apiKey === acme.pdApiKey));
+      assert.ok(sim.asTenant(acme.name, () => sim.queryEvents({ ticketId: ticket.id })).length > 0);
+      assert.equal(sim.queryEvents({ ticketId: ticket.id }).length, 0);
+
+      const scrape = (metricsPath, token) =>
+        fetch(`${sim.baseUrl}${metricsPath}`, { headers: { Authorization: `Bearer ${token}` } });
+      const metrics = await (await scrape(`/t/${acme.name}/metrics`, acme.metricsToken)).text();
+      assert.match(metrics, /tenant="acme"/);
+      assert.doesNotMatch(metrics, /tenant="default"/);
+      assert.equal((await scrape("/metrics", acme.metricsToken)).status, 401, "every tenant's metrics need METRICS_TOKEN");
+      assert.equal((await scrape("/t/default/metrics", acme.metricsToken)).status, 401);
+      assert.match(await (await scrape("/metrics", process.env.METRICS_TOKEN)).text(), /tenant="acme"/);
+      assert.equal((await fetch(`${sim.baseUrl}/t/nobody/metrics`)).status, 404);
+    },
+  },
+  {
+    name: "each tenant's dashboard has its own login and sessions",
+    run: async (sim) => {
+      const { acme } = sim.fixtures;
+      const login = (basePath, username, password) =>
+        fetch(`${sim.baseUrl}${basePath}/login`, {
+          method: "POST",
+          redirect: "manual",
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+          body: new URLSearchParams({ username, password }),
+        });
+      const dashboard = (basePath, cookie) => fetch(`${sim.baseUrl}${basePath}/`, { redirect: "manual", headers: { cookie } });
+      const sessionCookie = (res) => res.headers.get("set-cookie").split(";")[0];
+
+      const defaultLogin = await login("", process.env.DASHBOARD_USER, process.env.DASHBOARD_PASSWORD);
+      const defaultSession = sessionCookie(defaultLogin);
+      assert.equal((await dashboard("", defaultSession)).status, 200);
+
+      // The default tenant's session and credentials don't open another tenant's dashboard
+      const acmePath = `/t/${acme.name}`;
+      assert.equal((await dashboard(acmePath, defaultSession)).headers.get("location"), `${acmePath}/login`);
+      const forged = defaultSession.replace(/^cwpd_session=/, `cwpd_session_${acme.name}=`);
+      assert.equal((await dashboard(acmePath, forged)).headers.get("location"), `${acmePath}/login`);
+      const wrongLogin = await login(acmePath, process.env.DASHBOARD_USER, process.env.DASHBOARD_PASSWORD);
+      assert.equal(wrongLogin.headers.get("location"), `${acmePath}/login?failed=1`);
+
+      const acmeSession = sessionCookie(await login(acmePath, acme.dashboard.user, acme.dashboard.password));
+      assert.equal((await dashboard(acmePath, acmeSession)).status, 200);
+      assert.equal((await dashboard("", acmeSession)).headers.get("location"), "/login");
+    },
+  },
+];
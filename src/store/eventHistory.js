@@ -0,0 +1,88 @@
+// src/store/eventHistory.js
+const { createJsonLinesStore } = require("./jsonLinesStore");
+const { redact } = require("../utils/redact");
+const metrics = require("../utils/metrics");
+
+const MAX_EVENTS = Number(process.env.HISTORY_MAX_EVENTS) || 1000;
+
+// Inbound webhook events from both sources, newest first. Each entry keeps the redacted
+// payload, how processing ended and the CW/PD API calls it made.
+// Appended to history.jsonl on every change (history.json, from older versions, is imported once).
+const store = createJsonLinesStore("history.jsonl", {
+  maxRecords: MAX_EVENTS,
+  legacyFile: "history.json",
+  listName: "events",
+});
+
+// Every event passes through here on arrival and after each attempt, so the webhook
+// counters are kept here too
+function countOutcome({ source, outcome, reason }, isNew) {
+  if (isNew) metrics.webhooksReceived.inc({ source });
+  if (outcome === "created" || outcome === "updated") metrics.webhooksProcessed.inc({ source, outcome });
+  else if (outcome === "skipped") metrics.webhooksSkipped.inc({ source, reason: reason || "unknown" });
+  else if (outcome === "retrying") metrics.webhookRetries.inc({ source });
+  else if (outcome === "failed") metrics.webhooksFailed.inc({ source });
+}
+
+// Add an event, or update it in place (a queued event is recorded again after each attempt).
+// outcome: "queued" | "created" | "updated" | "skipped" | "retrying" | "failed"
+exports.recordEvent = (entry) => {
+  const { payload, ...fields } = entry;
+  if (payload !== undefined) fields.payload = redact(payload);
+
+  let isNew = false;
+  const event = store.upsert(entry.id, (existing) => {
+    if (existing) return Object.assign(existing, fields, { updatedAt: new Date().toISOString() });
+    isNew = true;
+    return { receivedAt: new Date().toISOString(), ...fields };
+  });
+
+  countOutcome(event, isNew);
+  return event;
+};
+
+exports.getEvent = (id) => store.get(id);
+
+// Summary rows for lists: no payload, API calls reduced to the writes ("POST pagerduty /incidents")
+const summarize = ({ payload, apiCalls = [], ...summary }) => ({
+  ...summary,
+  apiCallCount: apiCalls.length,
+  writes: apiCalls.filter((c) => c.method !== "GET").map((c) => `${c.method} ${c.system} ${c.path}`),
+});
+
+exports.latestEvents = (limit = 50) => store.read().slice(0, limit).map(summarize);
+
+// --- Search: every filter is optional; from/to are ISO dates on receivedAt ---
+exports.queryEvents = ({ source, ticketId, incidentId, eventId, eventType, outcome, from, to, limit = 100 } = {}) => {
+  const fromTime = from ? Date.parse(from) : null;
+  const toTime = to ? Date.parse(to) : null;
+
+  return store
+    .read()
+    .filter((e) => {
+      if (source && e.source !== source) return false;
+      if (ticketId && String(e.ticketId) !== String(ticketId)) return false;
+      if (incidentId && e.incidentId !== incidentId) return false;
+      if (eventId && e.eventId !== eventId) return false;
+      if (eventType && e.eventType !== eventType) return false;
+      if (outcome && e.outcome !== outcome) return false;
+      const received = Date.parse(e.receivedAt);
+      if (fromTime && received < fromTime) return false;
+      if (toTime && received > toTime) return false;
+      return true;
+    })
+    .slice(0, Number(limit) || 100)
+    .map(summarize);
+};
+
+// Failed events per board and per service
+exports.failureCounts = () => {
+  const byBoard = {};
+  const byService = {};
+  for (const e of store.read()) {
+    if (e.outcome !== "failed") continue;
+    byBoard[e.board || "unknown"] = (byBoard[e.board || "unknown"] || 0) + 1;
+    byService[e.service || "unknown"] = (byService[e.service || "unknown"] || 0) + 1;
+  }
+  return { byBoard, byService };
+};
@@ -0,0 +1,190 @@
+// src/store/idempotencyStore.js
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { createClient } = require("redis");
+const { log, error } = require("../utils/logger");
+const { DATA_DIR } = require("./jsonStore");
+const { currentTenantName, DEFAULT_TENANT } = require("../config/tenants");
+const { isSimulated } = require("../utils/shadow");
+
+// Shared between replicas: Redis when REDIS_URL is set, otherwise one file per key under
+// IDEMPOTENCY_DIR (default DATA_DIR/idempotency). Only these keys can be shared: the queue,
+// links and event history in DATA_DIR are cached by each process, so every replica needs a
+// DATA_DIR of its own — never share DATA_DIR itself between replicas.
+const REDIS_URL = process.env.REDIS_URL;
+const IDEMPOTENCY_DIR = process.env.IDEMPOTENCY_DIR || path.join(DATA_DIR, "idempotency");
+const PREFIX = process.env.IDEMPOTENCY_PREFIX || "cwpd:";
+const EVENT_TTL_MS = (Number(process.env.IDEMPOTENCY_EVENT_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const LOCK_TTL_MS = 60 * 1000;
+const LOCK_POLL_MS = 200;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+const REDIS_CONNECT_TIMEOUT_MS = 5000;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// --- Redis backend ---
+// Delete only if the value is still ours (a lock that expired may belong to someone else now)
+const DELETE_IF_EQUAL = `if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end`;
+
+// Commands fail (and the webhook job is retried later) when Redis can't be reached within
+// REDIS_CONNECT_TIMEOUT_MS; the next command connects again.
+function redisBackend(url) {
+  const redis = createClient({ url, disableOfflineQueue: true, socket: { connectTimeout: REDIS_CONNECT_TIMEOUT_MS } });
+  redis.on("error", (err) => error("Redis connection error", err.message));
+  redis.unref(); // don't keep the CLIs running once they're done
+  let connecting = null;
+  const client = async () => {
+    if (!redis.isOpen) connecting = redis.connect().catch((err) => error("Redis connection failed", err.message));
+    if (!redis.isReady) {
+      await Promise.race([connecting, new Promise((r) => setTimeout(r, REDIS_CONNECT_TIMEOUT_MS).unref())]);
+    }
+    if (!redis.isReady) {
+      await redis.disconnect().catch(() => {}); // stop retrying in the background
+      throw new Error("Redis is unreachable");
+    }
+    return redis;
+  };
+
+  return {
+    setIfAbsent: async (key, value, ttlMs) =>
+      (await (await client()).set(PREFIX + key, value, { NX: true, PX: Math.ceil(ttlMs) })) === "OK",
+    get: async (key) => (await client()).get(PREFIX + key),
+    set: async (key, value, ttlMs) => (await client()).set(PREFIX + key, value, { PX: Math.ceil(ttlMs) }),
+    deleteIfEqual: async (key, value) =>
+      (await client()).eval(DELETE_IF_EQUAL, { keys: [PREFIX + key], arguments: [value] }),
+  };
+}
+
+// --- File backend: hard-linking a file into place is atomic and fails if one is there, even across processes ---
+function fileBackend(dir) {
+  let lastSweep = 0;
+  const fileFor = (key) => path.join(dir, `${crypto.createHash("sha1").update(key).digest("hex")}.json`);
+
+  function parseEntry(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch {
+      return null; // missing, or half-written by another process
+    }
+  }
+
+  // Remove the entry if it still passes the check. Removing it outright could remove a fresh
+  // one another process just put in its place (and then two processes would hold the lock), so
+  // it's moved aside first — only one process can — checked, and put back if it doesn't pass.
+  function removeIf(file, check) {
+    const aside = `${file}.${process.pid}.${crypto.randomUUID()}.removed`;
+    try {
+      fs.renameSync(file, aside);
+    } catch {
+      return; // another process got there first
+    }
+    if (!check(parseEntry(aside))) {
+      try {
+        fs.linkSync(aside, file);
+      } catch {
+        // a newer entry has been created meanwhile
+      }
+    }
+    fs.rmSync(aside, { force: true });
+  }
+
+  const isExpired = (entry) => entry && !(entry.expiresAt > Date.now());
+
+  function readEntry(file) {
+    const entry = parseEntry(file);
+    if (entry?.expiresAt > Date.now()) return entry;
+    if (entry) removeIf(file, isExpired);
+    return null;
+  }
+
+  // Written in full to a temporary file first, so no process ever reads a half-written entry
+  function writeTemp(file, key, value, ttlMs) {
+    const tmp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ key, value, expiresAt: Date.now() + ttlMs }));
+    return tmp;
+  }
+
+  // Drop expired entries now and then, so handled event IDs don't pile up
+  function sweep() {
+    if (Date.now() - lastSweep < SWEEP_INTERVAL_MS) return;
+    lastSweep = Date.now();
+    for (const name of fs.readdirSync(dir).filter((n) => /^[0-9a-f]+\.json$/.test(n))) readEntry(path.join(dir, name));
+  }
+
+  return {
+    setIfAbsent: async (key, value, ttlMs) => {
+      fs.mkdirSync(dir, { recursive: true });
+      sweep();
+      const file = fileFor(key);
+      readEntry(file); // clears an expired entry
+      const tmp = writeTemp(file, key, value, ttlMs);
+      try {
+        fs.linkSync(tmp, file); // fails if the entry exists
+        return true;
+      } catch (err) {
+        if (err.code === "EEXIST") return false;
+        throw err;
+      } finally {
+        fs.rmSync(tmp, { force: true });
+      }
+    },
+    get: async (key) => readEntry(fileFor(key))?.value ?? null,
+    set: async (key, value, ttlMs) => {
+      fs.mkdirSync(dir, { recursive: true });
+      const file = fileFor(key);
+      fs.renameSync(writeTemp(file, key, value, ttlMs), file);
+    },
+    deleteIfEqual: async (key, value) => {
+      const file = fileFor(key);
+      if (readEntry(file)?.value === value) removeIf(file, (entry) => entry?.value === value);
+    },
+  };
+}
+
+const backend = REDIS_URL ? redisBackend(REDIS_URL) : fileBackend(IDEMPOTENCY_DIR);
+
+// Keys are per tenant: ticket CW-123 or an event hash means something else in another tenant.
+// Shadow instances and dry runs get their own keys, so they never claim an event or hold a
+// lock the live instance is waiting for.
+function scoped(key) {
+  const tenant = currentTenantName();
+  const tenantKey = tenant === DEFAULT_TENANT ? key : `tenant:${tenant}:${key}`;
+  return isSimulated() ? `shadow:${tenantKey}` : tenantKey;
+}
+
+// --- Run fn while holding the lock for key; waits up to waitMs for another holder ---
+// The lock expires after ttlMs in case its holder dies.
+exports.withLock = async (key, fn, { ttlMs = LOCK_TTL_MS, waitMs = 15000 } = {}) => {
+  const token = crypto.randomUUID();
+  const deadline = Date.now() + waitMs;
+
+  let waited = false;
+  const lockKey = scoped(`lock:${key}`);
+  while (!(await backend.setIfAbsent(lockKey, token, ttlMs))) {
+    if (Date.now() >= deadline) throw new Error(`Timed out waiting for the lock on ${key}`);
+    if (!waited) log(`⏳ Waiting: another delivery is handling ${key}`);
+    waited = true;
+    await sleep(LOCK_POLL_MS);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await backend.deleteIfEqual(lockKey, token);
+  }
+};
+
+// --- Claim a webhook event ID for a queued job ---
+// True the first time, and again for retries of the same job; false for another delivery
+// of an event that was already taken.
+exports.claimEvent = async (eventId, jobId) => {
+  const key = scoped(`event:${eventId}`);
+  if (await backend.setIfAbsent(key, jobId, EVENT_TTL_MS)) return true;
+  return (await backend.get(key)) === jobId;
+};
+
+// --- Short-lived values shared between replicas (e.g. the incident just created for a ticket) ---
+exports.remember = (key, value, ttlMs) => backend.set(scoped(`value:${key}`), value, ttlMs);
+
+exports.recall = (key) => backend.get(scoped(`value:${key}`));
@@ -0,0 +1,113 @@
+// src/store/jsonLinesStore.js
+const fs = require("fs");
+const path = require("path");
+const { error } = require("../utils/logger");
+const { currentTenant } = require("../config/tenants");
+const { fileStamp } = require("./jsonStore");
+
+// Append-only JSON Lines log of records, kept in memory, newest first. One file per tenant, in
+// the tenant's data directory. Every change appends the record's new state as one line (the
+// latest line for a key wins when loading), so a change costs one small write however many
+// records there are. The file is compacted once it holds twice maxRecords lines.
+// Always written, also in a dry-run/shadow context: the log records the run itself.
+// Cached per process, like the JSON documents: one replica per data directory, and read
+// again when another process (a CLI run) has changed the file.
+// legacyFile: a JSON document ({ [listName]: [...] }, newest first) to import when the log doesn't exist yet.
+exports.createJsonLinesStore = (fileName, { key = "id", maxRecords = 1000, legacyFile = null, listName = "records" } = {}) => {
+  const logs = new Map(); // file → { records: newest first, byKey: Map, lines, stamp }
+
+  const fileFor = () => path.join(currentTenant().dataDir, fileName);
+
+  function parseLines(file) {
+    const records = [];
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // a line cut short by a crash mid-append
+      }
+    }
+    return records;
+  }
+
+  function readLegacy(file) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(path.dirname(file), legacyFile), "utf8"))[listName].slice().reverse();
+    } catch (err) {
+      if (err.code !== "ENOENT") error(`Failed to import ${legacyFile} — starting empty`, err.message);
+      return [];
+    }
+  }
+
+  function load(file = fileFor()) {
+    const cached = logs.get(file);
+    const current = fileStamp(file);
+    if (cached && cached.stamp === current) return cached;
+    let lines = []; // oldest first
+    let imported = false;
+    try {
+      lines = parseLines(file);
+    } catch (err) {
+      if (err.code !== "ENOENT") error(`Failed to read ${file} — starting empty`, err.message);
+      else if (legacyFile) {
+        lines = readLegacy(file);
+        imported = lines.length > 0;
+      }
+    }
+
+    const byKey = new Map();
+    for (const record of lines) {
+      const existing = byKey.get(record[key]);
+      if (existing) Object.assign(existing, record);
+      else byKey.set(record[key], record);
+    }
+    const log = { records: [...byKey.values()].reverse(), byKey, lines: lines.length, stamp: current };
+    trim(log);
+    logs.set(file, log);
+    if (imported) compact(file, log);
+    return log;
+  }
+
+  function trim(log) {
+    while (log.records.length > maxRecords) log.byKey.delete(log.records.pop()[key]);
+  }
+
+  // Rewrite the log with one line per record kept
+  function compact(file, log) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    const content = log.records.slice().reverse().map((r) => JSON.stringify(r) + "\n").join("");
+    fs.writeFileSync(tmp, content);
+    fs.renameSync(tmp, file);
+    log.lines = log.records.length;
+    log.stamp = fileStamp(file);
+  }
+
+  return {
+    get file() {
+      return fileFor();
+    },
+    // Records, newest first
+    read: () => load().records,
+    get: (id) => load().byKey.get(id) || null,
+    // Add a record, or change the one with its key: fn(existing or null) returns the record to keep
+    upsert: (id, fn) => {
+      const file = fileFor();
+      const log = load(file);
+      const existing = log.byKey.get(id) || null;
+      const record = fn(existing);
+      if (!existing) {
+        log.byKey.set(record[key], record);
+        log.records.unshift(record);
+        trim(log);
+      }
+
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, JSON.stringify(record) + "\n");
+      log.stamp = fileStamp(file);
+      if (++log.lines > maxRecords * 2) compact(file, log);
+      return record;
+    },
+  };
+};
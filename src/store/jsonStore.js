@@ -0,0 +1,72 @@
+// src/store/jsonStore.js
+const fs = require("fs");
+const path = require("path");
+const { error } = require("../utils/logger");
+const { getContext } = require("../utils/context");
+const { currentTenant, DATA_DIR } = require("../config/tenants");
+
+// File-backed JSON document, kept in memory and written atomically on every change.
+// One document per tenant, in the tenant's data directory. Cached per process: only one
+// replica may use a data directory (see src/store/idempotencyStore.js for what replicas share).
+// A CLI run next to the server (replay, reconcile --fix) may change the file: the document is
+// read again when the file's mtime or size no longer match the last read or write.
+// keepInDryRun: the document records the run itself (e.g. the queue), so changes made
+// in a dry-run/shadow context are kept.
+exports.createJsonStore = (fileName, defaults = {}, { keepInDryRun = false } = {}) => {
+  const docs = new Map(); // file → { data, stamp }
+
+  const fileFor = () => path.join(currentTenant().dataDir, fileName);
+
+  function load(file = fileFor()) {
+    const cached = docs.get(file);
+    const current = fileStamp(file);
+    if (cached && cached.stamp === current) return cached.data;
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") error(`Failed to read ${file} — starting empty`, err.message);
+      data = JSON.parse(JSON.stringify(defaults));
+    }
+    docs.set(file, { data, stamp: current });
+    return data;
+  }
+
+  function save(file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    const doc = docs.get(file);
+    fs.writeFileSync(tmp, JSON.stringify(doc.data));
+    fs.renameSync(tmp, file);
+    doc.stamp = fileStamp(file);
+  }
+
+  return {
+    get file() {
+      return fileFor();
+    },
+    read: () => load(),
+    // Apply a change to the document and persist it.
+    // In a dry run the change is made to a throwaway copy so nothing is kept.
+    update: (fn) => {
+      const file = fileFor();
+      if (getContext()?.dryRun && !keepInDryRun) return fn(JSON.parse(JSON.stringify(load(file))));
+      const result = fn(load(file));
+      save(file);
+      return result;
+    },
+  };
+};
+
+// mtime and size of a file (null when it doesn't exist), to notice another process's writes
+function fileStamp(file) {
+  try {
+    const { mtimeMs, size } = fs.statSync(file);
+    return `${mtimeMs}:${size}`;
+  } catch {
+    return null;
+  }
+}
+
+exports.fileStamp = fileStamp;
+exports.DATA_DIR = DATA_DIR;
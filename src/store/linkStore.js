@@ -0,0 +1,60 @@
+// src/store/linkStore.js
+const { createJsonStore } = require("./jsonStore");
+
+// tickets:   { [ticketId]: { ticketId, board, incidents: [{ id, reason, linkedAt }], syncState, updatedAt } }
+//            syncState holds the last values written to / seen on both sides (e.g. owner),
+//            so a change we made ourselves isn't synced back as a new change.
+// incidents: { [incidentId]: ticketId }
+const store = createJsonStore("links.json", { tickets: {}, incidents: {} });
+
+// Record a ticket ↔ incident pair. Reason is "created", "reopened" or "adopted"
+// (an incident found in PagerDuty that we had no record of).
+exports.recordLink = (ticketId, incidentId, { reason = "created", board = null } = {}) => {
+  const key = String(ticketId);
+  return store.update((data) => {
+    const link = data.tickets[key] || { ticketId: key, board, incidents: [] };
+    if (board) link.board = board;
+
+    if (!link.incidents.some((i) => i.id === incidentId)) {
+      link.incidents.push({ id: incidentId, reason, linkedAt: new Date().toISOString() });
+    }
+    link.updatedAt = new Date().toISOString();
+
+    data.tickets[key] = link;
+    data.incidents[incidentId] = key;
+    return link;
+  });
+};
+
+exports.getLink = (ticketId) => store.read().tickets[String(ticketId)] || null;
+
+// Most recent incident linked to the ticket (the one a reopen created, if any)
+exports.getCurrentIncidentId = (ticketId) => {
+  const link = exports.getLink(ticketId);
+  return link?.incidents[link.incidents.length - 1]?.id || null;
+};
+
+exports.getTicketIdForIncident = (incidentId) => store.read().incidents[incidentId] || null;
+
+// Find the CW ticket for an incident: the stored link first, then the "#123" in its title
+exports.findTicketIdForIncident = (incident) => {
+  const linked = incident.id ? exports.getTicketIdForIncident(incident.id) : null;
+  if (linked) return linked;
+
+  const match = incident.title?.match(/#(\d+)/);
+  return match ? match[1] : null;
+};
+
+exports.getSyncState = (ticketId) => exports.getLink(ticketId)?.syncState || {};
+
+exports.updateSyncState = (ticketId, patch) => {
+  const key = String(ticketId);
+  return store.update((data) => {
+    const link = data.tickets[key];
+    if (!link) return null;
+    link.syncState = { ...link.syncState, ...patch };
+    return link.syncState;
+  });
+};
+
+exports.listLinks = () => Object.values(store.read().tickets);
@@ -0,0 +1,25 @@
+// src/store/noteSyncStore.js
+const { createJsonStore } = require("./jsonStore");
+
+// cw: { [cwNoteId]: { pdNoteId, ticketId, incidentId, origin, syncedAt } }
+// pd: { [pdNoteId]: cwNoteId }
+const store = createJsonStore("note-sync.json", { cw: {}, pd: {} });
+
+// Record a mirrored note pair. origin is the system the note was written in.
+exports.recordNoteSync = ({ cwNoteId, pdNoteId, ticketId, incidentId, origin }) =>
+  store.update((data) => {
+    if (cwNoteId) {
+      data.cw[cwNoteId] = {
+        pdNoteId: pdNoteId || null,
+        ticketId: String(ticketId),
+        incidentId,
+        origin,
+        syncedAt: new Date().toISOString(),
+      };
+    }
+    if (pdNoteId) data.pd[pdNoteId] = cwNoteId || null;
+  });
+
+exports.isCwNoteSynced = (cwNoteId) => Boolean(store.read().cw[cwNoteId]);
+
+exports.isPdNoteSynced = (pdNoteId) => pdNoteId in store.read().pd;
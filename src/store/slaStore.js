@@ -0,0 +1,27 @@
+// src/store/slaStore.js
+const { createJsonStore } = require("./jsonStore");
+
+// targets: { ["<incidentId>:<target>"]: { ticketId, incidentId, target, dueAt, escalatedAt, breachedAt,
+//            cwBreachNotedAt, pdBreachNotedAt } }
+// What the SLA watcher already did for each incident's SLA target, so each step happens once.
+const store = createJsonStore("sla.json", { targets: {} });
+
+const keyFor = (incidentId, target) => `${incidentId}:${target}`;
+
+exports.getSlaState = (incidentId, target) => store.read().targets[keyFor(incidentId, target)] || null;
+
+exports.updateSlaState = (ticketId, incidentId, target, patch) =>
+  store.update((data) => {
+    const key = keyFor(incidentId, target);
+    data.targets[key] = { ticketId: String(ticketId), incidentId, target, ...data.targets[key], ...patch };
+    return data.targets[key];
+  });
+
+// Forget tickets that are no longer open (closed tickets aren't watched)
+exports.pruneSlaState = (openTicketIds) => {
+  const open = new Set(openTicketIds.map(String));
+  const stale = Object.entries(store.read().targets).filter(([, entry]) => !open.has(entry.ticketId));
+  if (stale.length === 0) return 0;
+  store.update((data) => stale.forEach(([key]) => delete data.targets[key]));
+  return stale.length;
+};
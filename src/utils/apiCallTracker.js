@@ -0,0 +1,124 @@
+// src/utils/apiCallTracker.js
+const axios = require("axios");
+const { getContext } = require("./context");
+const { redact } = require("./redact");
+const { isSimulated } = require("./shadow");
+const { log, debug } = require("./logger");
+const metrics = require("./metrics");
+const { listTenants } = require("../config/tenants");
+
+// Which system a request went to: CW API paths are /<codebase>/apis/3.0/…, PD is known by host
+function systemFor(url) {
+  try {
+    const { host, pathname } = new URL(url);
+    if (pathname.includes("/apis/3.0/")) return "connectwise";
+    const pdHosts = listTenants()
+      .flatMap((t) => [t.pagerduty.apiUrl, t.pagerduty.eventsUrl])
+      .filter(Boolean)
+      .map((u) => new URL(u).host);
+    if (host.includes("pagerduty.com") || pdHosts.includes(host)) return "pagerduty";
+    return "connectwise";
+  } catch {
+    return "unknown";
+  }
+}
+
+const parseBody = (data) => {
+  try {
+    return typeof data === "string" ? JSON.parse(data) : data;
+  } catch {
+    return data;
+  }
+};
+
+function record(config, response, err) {
+  if (!config) return;
+
+  const url = axios.getUri(config);
+  const call = {
+    system: systemFor(url),
+    method: (config.method || "get").toUpperCase(),
+    path: new URL(url).pathname, // no query string: CW conditions can carry names
+    status: response?.status || err?.response?.status || null,
+    durationMs: config.metadata ? Date.now() - config.metadata.startedAt : null,
+    ...(err && { error: err.code || err.message }),
+    // Dry run / shadow mode: the write was not sent, keep what would have been
+    ...(config.metadata?.simulated && { simulated: true, body: redact(parseBody(config.data) ?? null) }),
+  };
+
+  // Logged with the event's correlation ID; kept on the event for its history entry
+  debug(`${call.method} ${call.system} ${call.path} → ${call.status || call.error}`, call);
+  getContext()?.apiCalls?.push(call);
+
+  if (!call.simulated) {
+    const labels = { system: call.system, method: call.method, endpoint: endpointFor(call.path) };
+    if (call.durationMs != null) metrics.apiRequestDuration.observe(labels, call.durationMs / 1000);
+    if (err) metrics.apiRequestErrors.inc({ ...labels, status: call.status || call.error });
+  }
+}
+
+// Path with IDs replaced, so metrics get one series per endpoint (and a simulated write
+// compares equal to the real one):
+// /v2025_1/apis/3.0/service/tickets/123/notes → /service/tickets/:id/notes
+// /incidents/Q2W3E4R5T6Y7U8/notes               → /incidents/:id/notes
+// /incidents/DRY-RUN/notes                      → /incidents/:id/notes
+function endpointFor(path) {
+  return path
+    .replace(/^.*\/apis\/3\.0/, "")
+    .split("/")
+    .map((segment) =>
+      /^\d+$/.test(segment) || /^[A-Z0-9]{7,}$/.test(segment) || segment === DRY_RUN_ID ? ":id" : segment
+    )
+    .join("/");
+}
+
+exports.endpointFor = endpointFor;
+
+// --- Dry run / shadow mode: answer writes locally instead of sending them ---
+// The response echoes the request body with a placeholder ID, in the shape each API returns
+// (PD wraps objects: { incident: {...} }, CW returns them bare), so the caller carries on.
+const DRY_RUN_ID = "DRY-RUN";
+
+function simulatedResponse(config) {
+  const body = parseBody(config.data);
+  let data = { id: DRY_RUN_ID };
+  if (body && typeof body === "object" && !Array.isArray(body)) {
+    const keys = Object.keys(body);
+    const wrapped = keys.length === 1 && body[keys[0]] && typeof body[keys[0]] === "object";
+    data = wrapped
+      ? { [keys[0]]: { id: DRY_RUN_ID, ...body[keys[0]] } }
+      : { id: DRY_RUN_ID, ...body, status: body.status || "success" };
+  }
+  return { data, status: 200, statusText: "OK (dry run)", headers: {}, config, request: {} };
+}
+
+// --- Record every CW/PD API call made while handling an event in that event's context ---
+// In a dry run or in shadow mode reads still go out; writes are simulated.
+// Installed (once) by the CW/PD clients themselves when they load, so no entry point
+// (server, CLI, script) can talk to CW or PD without it.
+let installed = false;
+
+exports.installApiCallTracker = () => {
+  if (installed) return;
+  installed = true;
+  axios.interceptors.request.use((config) => {
+    const simulated = isSimulated() && (config.method || "get").toLowerCase() !== "get";
+    config.metadata = { startedAt: Date.now(), simulated };
+    if (simulated) {
+      const url = axios.getUri(config);
+      log(`🫥 Intercepted ${config.method.toUpperCase()} ${systemFor(url)} ${new URL(url).pathname}`);
+      config.adapter = async () => simulatedResponse(config);
+    }
+    return config;
+  });
+  axios.interceptors.response.use(
+    (response) => {
+      record(response.config, response);
+      return response;
+    },
+    (err) => {
+      record(err.config, null, err);
+      return Promise.reject(err);
+    }
+  );
+};
@@ -0,0 +1,15 @@
+// src/utils/context.js
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Per-event context, carried through every await of the code that handles the event
+const storage = new AsyncLocalStorage();
+
+exports.runWithContext = (context, fn) => storage.run(context, fn);
+
+exports.getContext = () => storage.getStore() || null;
+
+// Add what's been learned while handling the event (e.g. the incident ID) to its context
+exports.addToContext = (fields) => {
+  const context = storage.getStore();
+  if (context) Object.assign(context, fields);
+};
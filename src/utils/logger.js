@@ -1,15 +1,53 @@
 // src/utils/logger.js
+const { getContext } = require("./context");
+const { SHADOW_MODE } = require("./shadow");
+const { redact } = require("./redact");
+
+// One JSON object per line. LOG_LEVEL: debug | info (default) | warn | error
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[(process.env.LOG_LEVEL || "info").toLowerCase()] || LEVELS.info;
+
+// Standard fields, taken from the context of the webhook event being handled
+const CONTEXT_FIELDS = ["tenant", "correlationId", "eventId", "source", "ticketId", "incidentId", "board", "service"];
+
+function contextFields() {
+  const context = getContext();
+  const fields = {};
+  for (const name of CONTEXT_FIELDS) {
+    if (context?.[name] != null) fields[name] = context[name];
+  }
+  // Lines logged in shadow mode or in a dry-run replay describe what would have happened
+  if (SHADOW_MODE) fields.mode = "shadow";
+  else if (context?.dryRun) fields.mode = "dry-run";
+  return fields;
+}
+
+function describeError(err) {
+  if (err instanceof Error) {
+    return { name: err.name, message: err.message, status: err.status || err.response?.status, stack: err.stack };
+  }
+  return err;
+}
+
+function write(level, message, extra) {
+  if (LEVELS[level] < LOG_LEVEL) return;
+
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...contextFields(),
+    ...extra,
+  });
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) console.error(line);
+  else console.log(line);
+}
+
+// data: anything useful for the line (object, string …); err: Error, CW/PD error body or text
 module.exports = {
-  log: (message, data = null) => {
-    console.log(`[${new Date().toISOString()}] ${message}`, data || '');
-  },
-  error: (message, err) => {
-    const errorMsg =
-      err instanceof Error
-        ? err.stack || err.message
-        : typeof err === "string"
-        ? err
-        : JSON.stringify(err, null, 2);
-    console.error(`[${new Date().toISOString()}] ${message}`, errorMsg);
-  },
+  debug: (message, data = null) => write("debug", message, data == null ? {} : { data }),
+  log: (message, data = null) => write("info", message, data == null || data === "" ? {} : { data }),
+  warn: (message, data = null) => write("warn", message, data == null ? {} : { data }),
+  error: (message, err = null) => write("error", message, err == null ? {} : { error: describeError(err) }),
 };
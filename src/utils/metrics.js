@@ -0,0 +1,181 @@
+// src/utils/metrics.js
+// Prometheus metrics, kept in memory per process and rendered in the text exposition format
+const { currentTenantName } = require("../config/tenants");
+
+const registry = new Map(); // name → metric
+
+const escapeLabel = (value) => String(value ?? "").replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+function labelString(labelNames, labels, extra = {}) {
+  const pairs = [...labelNames.map((name) => [name, labels[name]]), ...Object.entries(extra)];
+  if (!pairs.length) return "";
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+
+// Every series carries a tenant label: the tenant of the request / job being handled, unless given
+const TENANT_LABEL = "tenant";
+const withTenant = (labels) => ({ [TENANT_LABEL]: currentTenantName(), ...labels });
+
+// Series of one tenant only (or all of them)
+const ofTenant = (series, tenant) => [...series.values()].filter((s) => !tenant || s.labels[TENANT_LABEL] === tenant);
+
+function register(metric) {
+  if (registry.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+// --- Counter: only goes up ---
+function createCounter({ name, help, labelNames = [] }) {
+  const series = new Map(); // key → { labels, value }
+  labelNames = [TENANT_LABEL, ...labelNames];
+  return register({
+    name,
+    inc: (labels = {}, value = 1) => {
+      labels = withTenant(labels);
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+    render: (tenant) => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} counter`,
+      ...ofTenant(series, tenant).map((s) => `${name}${labelString(labelNames, s.labels)} ${s.value}`),
+    ],
+  });
+}
+
+// --- Gauge: set to the current value (e.g. right before a scrape) ---
+function createGauge({ name, help, labelNames = [] }) {
+  const series = new Map();
+  labelNames = [TENANT_LABEL, ...labelNames];
+  return register({
+    name,
+    set: (labels = {}, value) => {
+      labels = withTenant(labels);
+      series.set(seriesKey(labelNames, labels), { labels, value });
+    },
+    render: (tenant) => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} gauge`,
+      ...ofTenant(series, tenant).map((s) => `${name}${labelString(labelNames, s.labels)} ${s.value}`),
+    ],
+  });
+}
+
+// --- Histogram: cumulative buckets, sum and count per label set ---
+function createHistogram({ name, help, labelNames = [], buckets }) {
+  const series = new Map(); // key → { labels, counts[], sum, count }
+  labelNames = [TENANT_LABEL, ...labelNames];
+  return register({
+    name,
+    observe: (labels = {}, value) => {
+      labels = withTenant(labels);
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((le, i) => {
+        if (value <= le) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+    render: (tenant) => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} histogram`,
+      ...ofTenant(series, tenant).flatMap((s) => [
+        ...buckets.map((le, i) => `${name}_bucket${labelString(labelNames, s.labels, { le })} ${s.counts[i]}`),
+        `${name}_bucket${labelString(labelNames, s.labels, { le: "+Inf" })} ${s.count}`,
+        `${name}_sum${labelString(labelNames, s.labels)} ${s.sum}`,
+        `${name}_count${labelString(labelNames, s.labels)} ${s.count}`,
+      ]),
+    ],
+  });
+}
+
+// tenant: only that tenant's series (the tenant's own scrape endpoint)
+exports.render = (tenant = null) =>
+  [...registry.values()]
+    .flatMap((metric) => metric.render(tenant))
+    .join("\n")
+    .concat("\n");
+
+// --- Webhooks ---
+exports.webhooksReceived = createCounter({
+  name: "cwpd_webhooks_received_total",
+  help: "Inbound webhooks, including rejected ones",
+  labelNames: ["source"],
+});
+
+exports.webhooksProcessed = createCounter({
+  name: "cwpd_webhooks_processed_total",
+  help: "Webhooks that led to a change (outcome created / updated)",
+  labelNames: ["source", "outcome"],
+});
+
+exports.webhooksSkipped = createCounter({
+  name: "cwpd_webhooks_skipped_total",
+  help: "Webhooks skipped or rejected, by reason (board_not_allowed, priority_not_allowed, keyword_filter, bad_signature …)",
+  labelNames: ["source", "reason"],
+});
+
+exports.webhookRetries = createCounter({
+  name: "cwpd_webhook_retries_total",
+  help: "Failed processing attempts that will be retried",
+  labelNames: ["source"],
+});
+
+exports.webhooksFailed = createCounter({
+  name: "cwpd_webhooks_failed_total",
+  help: "Webhooks that ran out of retries and were dead-lettered",
+  labelNames: ["source"],
+});
+
+exports.queueJobs = createGauge({
+  name: "cwpd_queue_jobs",
+  help: "Webhooks waiting in the queue (state: pending / dead_letter)",
+  labelNames: ["state"],
+});
+
+// --- CW / PD API calls ---
+exports.apiRequestDuration = createHistogram({
+  name: "cwpd_api_request_duration_seconds",
+  help: "ConnectWise / PagerDuty API call latency",
+  labelNames: ["system", "method", "endpoint"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+});
+
+exports.apiRequestErrors = createCounter({
+  name: "cwpd_api_request_errors_total",
+  help: "ConnectWise / PagerDuty API calls that failed, by status (or network error code)",
+  labelNames: ["system", "method", "endpoint", "status"],
+});
+
+// --- Incidents ---
+exports.incidentsCreated = createCounter({
+  name: "cwpd_incidents_created_total",
+  help: "PagerDuty incidents created for ConnectWise tickets",
+  labelNames: ["service", "board", "priority"],
+});
+
+exports.ticketToIncidentSeconds = createHistogram({
+  name: "cwpd_ticket_to_incident_seconds",
+  help: "Time from CW ticket creation to PD incident creation",
+  labelNames: ["board", "priority"],
+  buckets: [1, 5, 10, 30, 60, 120, 300, 600, 1800, 3600],
+});
+
+exports.slaActions = createCounter({
+  name: "cwpd_sla_actions_total",
+  help: "Incidents escalated ahead of a CW SLA target (stage due_soon) and SLA breaches noted (stage breached)",
+  labelNames: ["target", "stage"],
+});
+
+exports.timeEntries = createCounter({
+  name: "cwpd_time_entries_total",
+  help: "CW time entries logged from PD incident response (acknowledge to resolve)",
+  labelNames: ["board"],
+});
@@ -0,0 +1,87 @@
+// src/utils/redact.js
+const REDACTED = "[REDACTED]";
+
+// Keys (compared case-insensitively, ignoring "_" and "-") whose values are secrets or PII
+const SENSITIVE_KEYS = [
+  "authorization",
+  "password",
+  "secret",
+  "token",
+  "apikey",
+  "privatekey",
+  "signature",
+  "routingkey",
+  "integrationkey",
+  "email",
+  "emailaddress",
+  "contact",
+  "contactemailaddress",
+  "contactname",
+  "contactphonenumber",
+  "contactphoneextension",
+  "phone",
+  "phonenumber",
+  "mobilephone",
+  "addressline1",
+  "addressline2",
+];
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+\.[\w.-]+/g;
+
+const normalizeKey = (key) => key.toLowerCase().replace(/[_-]/g, "");
+
+// --- Extra rules from the environment (applied to logs and the event history) ---
+// REDACT_KEYS:     comma-separated keys to mask, e.g. "site,companyPhone"
+// REDACT_PATTERNS: JSON array of regular expressions to mask in text, e.g. ["\\+?\\d[\\d -]{8,}\\d"]
+function rulesFromEnv() {
+  const keys = (process.env.REDACT_KEYS || "")
+    .split(",")
+    .map((k) => k.trim())
+    .filter(Boolean);
+
+  let patterns = [];
+  if (process.env.REDACT_PATTERNS) {
+    try {
+      patterns = JSON.parse(process.env.REDACT_PATTERNS).map((p) => new RegExp(p, "g"));
+    } catch (err) {
+      throw new Error(`❌ REDACT_PATTERNS must be a JSON array of regular expressions: ${err.message}`);
+    }
+  }
+
+  return { keys: [...SENSITIVE_KEYS, ...keys], patterns: [EMAIL_PATTERN, ...patterns] };
+}
+
+const DEFAULT_RULES = rulesFromEnv();
+
+// Deep copy of value with sensitive keys masked and matching text (email addresses, plus any
+// configured patterns) replaced. JSON strings (CW sends the ticket as a JSON string) are parsed
+// and redacted too.
+exports.redact = (value, { keys = DEFAULT_RULES.keys, patterns = DEFAULT_RULES.patterns } = {}) => {
+  const sensitive = new Set(keys.map(normalizeKey));
+  const maskText = (text) => patterns.reduce((out, pattern) => out.replace(pattern, REDACTED), text);
+
+  const walk = (v) => {
+    if (typeof v === "string") {
+      const trimmed = v.trim();
+      if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+        try {
+          return walk(JSON.parse(trimmed));
+        } catch {
+          // not JSON — treat as text
+        }
+      }
+      return maskText(v);
+    }
+    if (Array.isArray(v)) return v.map(walk);
+    if (v && typeof v === "object") {
+      return Object.fromEntries(
+        Object.entries(v).map(([k, val]) => [k, sensitive.has(normalizeKey(k)) ? REDACTED : walk(val)])
+      );
+    }
+    return v;
+  };
+
+  return walk(value);
+};
+
+exports.SENSITIVE_KEYS = SENSITIVE_KEYS;
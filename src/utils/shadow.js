@@ -0,0 +1,11 @@
+// src/utils/shadow.js
+const { getContext } = require("./context");
+
+// SHADOW_MODE=true runs this instance next to the live one: reads go to CW/PD as usual,
+// every write is intercepted and logged instead of sent.
+const SHADOW_MODE = process.env.SHADOW_MODE === "true";
+
+exports.SHADOW_MODE = SHADOW_MODE;
+
+// Whether CW/PD writes are simulated right now (shadow instance, or a dry-run replay)
+exports.isSimulated = () => SHADOW_MODE || Boolean(getContext()?.dryRun);